@@ -0,0 +1,64 @@
+import { getDb } from '../lib/db.js';
+
+/**
+ * New-company alerts from scheduled thesis runs
+ * GET /api/alerts - Newest first (paginated)
+ * Query params:
+ *   - thesis_id: Optional - only alerts for the subscription on this thesis
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  try {
+    const sql = getDb();
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const thesisId = req.query.thesis_id ? parseInt(req.query.thesis_id) : null;
+    
+    let alerts;
+    if (thesisId) {
+      alerts = await sql`
+        SELECT a.*, s.thesis_id as subscribed_thesis_id, s.frequency, t.thesis
+        FROM thesis_alerts a
+        JOIN thesis_subscriptions s ON s.id = a.subscription_id
+        JOIN theses t ON t.id = a.thesis_id
+        WHERE s.thesis_id = ${thesisId}
+        ORDER BY a.created_at DESC
+        LIMIT ${parseInt(limit)}
+        OFFSET ${offset}
+      `;
+    } else {
+      alerts = await sql`
+        SELECT a.*, s.thesis_id as subscribed_thesis_id, s.frequency, t.thesis
+        FROM thesis_alerts a
+        JOIN thesis_subscriptions s ON s.id = a.subscription_id
+        JOIN theses t ON t.id = a.thesis_id
+        ORDER BY a.created_at DESC
+        LIMIT ${parseInt(limit)}
+        OFFSET ${offset}
+      `;
+    }
+    
+    res.status(200).json({
+      alerts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Alerts list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,63 @@
+import { getDb } from '../../lib/db.js';
+
+/**
+ * Organization detail
+ * GET /api/companies/:id - A canonical organization plus every thesis it has appeared in,
+ * with that thesis's scores and writeup
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const { id } = req.query;
+  
+  try {
+    const sql = getDb();
+    
+    const organizations = await sql`
+      SELECT * FROM organizations WHERE id = ${parseInt(id)}
+    `;
+    
+    if (organizations.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    // Every thesis this organization appeared in (newest first)
+    const theses = await sql`
+      SELECT
+        t.id AS thesis_id,
+        t.thesis,
+        t.status,
+        t.created_at AS thesis_created_at,
+        c.id AS company_id,
+        c.thesis_relevance,
+        c.recency,
+        c.founding_team,
+        c.total_score,
+        c.fit_type,
+        c.writeup
+      FROM companies c
+      JOIN theses t ON t.id = c.thesis_id
+      WHERE c.organization_id = ${parseInt(id)}
+      ORDER BY t.created_at DESC
+    `;
+    
+    res.status(200).json({
+      ...organizations[0],
+      theses
+    });
+  } catch (error) {
+    console.error('Company detail error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,50 @@
+import { runDueSubscriptions } from '../lib/monitor.js';
+import { isCronRequest } from '../lib/cron.js';
+
+/**
+ * Scheduled thesis monitoring (call from a cron)
+ * GET /api/monitor - Queues a re-run of each subscribed thesis that is due (the run worker
+ * cron picks them up); once a run completes, the worker records an alert listing companies no earlier run of the
+ * subscription had surfaced
+ * Requires Authorization: Bearer ${CRON_SECRET} (see lib/cron.js)
+ * Query params:
+ *   - limit: Max subscriptions to queue in this call (default 5)
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+  
+  try {
+    const results = await runDueSubscriptions(limit);
+    
+    return res.json({
+      success: true,
+      message: results.length > 0
+        ? `Queued ${results.length} scheduled theses`
+        : 'No subscriptions due',
+      runs: results,
+    });
+  } catch (error) {
+    console.error('Monitor error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+}
@@ -0,0 +1,47 @@
+import { reapStaleRuns, STALE_RUN_MINUTES } from '../lib/runs.js';
+import { isCronRequest } from '../lib/cron.js';
+
+/**
+ * Stale run reaper (runs every 5 minutes via the cron in vercel.json)
+ * GET /api/reap-runs - Marks 'running' theses whose job stopped sending heartbeats as 'failed'
+ * Requires Authorization: Bearer ${CRON_SECRET} (see lib/cron.js)
+ * Query params:
+ *   - stale_minutes: Minutes without a heartbeat before a run counts as abandoned (default 5)
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  // Live jobs heartbeat every few seconds, so anything over a minute is safe
+  const staleMinutes = Math.max(parseInt(req.query.stale_minutes) || STALE_RUN_MINUTES, 1);
+  
+  try {
+    const reaped = await reapStaleRuns(staleMinutes);
+    
+    return res.json({
+      success: true,
+      message: `Reaped ${reaped.length} abandoned runs`,
+      reaped,
+    });
+  } catch (error) {
+    console.error('Run reaper error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+}
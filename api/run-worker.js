@@ -0,0 +1,49 @@
+import { runQueuedRuns } from '../lib/worker.js';
+import { isCronRequest } from '../lib/cron.js';
+
+export const config = {
+  maxDuration: 300, // Runs pause at RUN_TIME_BUDGET_MS (see lib/worker.js) and are re-queued
+};
+
+/**
+ * Run worker (called every minute by cron, and kicked when a run is queued)
+ * GET /api/run-worker - Claims queued thesis runs and executes them until the queue is empty
+ * or the pass's time budget is spent; unfinished runs go back to the queue
+ * Requires Authorization: Bearer ${CRON_SECRET} (see lib/cron.js)
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  try {
+    const runs = await runQueuedRuns();
+    
+    return res.json({
+      success: true,
+      message: runs.length > 0
+        ? `Worked on ${runs.length} queued runs`
+        : 'No runs queued',
+      runs,
+    });
+  } catch (error) {
+    console.error('Run worker error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+}
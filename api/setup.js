@@ -1,4 +1,5 @@
 import { initDb, getDb } from '../lib/db.js';
+import { backfillOrganizations } from '../lib/organizations.js';
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -6,6 +7,15 @@ export default async function handler(req, res) {
   try {
     const { errors } = await initDb();
     
+    // Link companies saved before organizations existed
+    let organizationsLinked = 0;
+    try {
+      organizationsLinked = await backfillOrganizations();
+    } catch (e) {
+      console.error('Organization backfill error:', e.message);
+      errors.push(`organization backfill: ${e.message}`);
+    }
+    
     // Also check what columns exist
     const sql = getDb();
     const columns = await sql`
@@ -19,6 +29,7 @@ export default async function handler(req, res) {
       success: true, 
       message: 'Database initialized',
       migration_errors: errors.length > 0 ? errors : null,
+      organizations_linked: organizationsLinked,
       companies_columns: columns.map(c => c.column_name)
     });
   } catch (error) {
@@ -1,4 +1,6 @@
 import { getDb } from '../../lib/db.js';
+import { listCompletedStages } from '../../lib/checkpoints.js';
+import { REGION_NAMES, getRegion, inRegion } from '../../lib/regions.js';
 
 export default async function handler(req, res) {
   // CORS headers
@@ -14,7 +16,13 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
-  const { id } = req.query;
+  const { id, region: regionName } = req.query;
+  
+  // Optional ?region= filter - only companies headquartered in the region
+  const region = getRegion(regionName);
+  if (regionName && !region) {
+    return res.status(400).json({ error: `region must be one of: ${REGION_NAMES.join(', ')}` });
+  }
   
   try {
     const sql = getDb();
@@ -31,11 +39,14 @@ export default async function handler(req, res) {
     const thesis = theses[0];
     
     // Get companies for this thesis
-    const companies = await sql`
+    const allCompanies = await sql`
       SELECT * FROM companies 
       WHERE thesis_id = ${parseInt(id)}
       ORDER BY total_score DESC
     `;
+    const companies = region
+      ? allCompanies.filter(c => inRegion(region, c.headquarters) === true)
+      : allCompanies;
     
     // Get findings
     const findings = await sql`
@@ -44,10 +55,14 @@ export default async function handler(req, res) {
       ORDER BY created_at ASC
     `;
     
+    // Completed pipeline stages (a failed run resumes after the last one)
+    const stages = await listCompletedStages(parseInt(id));
+    
     res.status(200).json({
       ...thesis,
       companies,
-      findings
+      findings,
+      stages
     });
   } catch (error) {
     console.error('Thesis detail error:', error);
@@ -0,0 +1,68 @@
+import { getDb } from '../../../lib/db.js';
+import { recordEvent } from '../../../lib/runs.js';
+
+/**
+ * Cancel an in-flight thesis run
+ * POST /api/thesis/:id/cancel - A queued run is cancelled right away. A running one is
+ * flagged; the running job aborts its outstanding Brave, Crunchbase and Anthropic requests
+ * within a few seconds and marks the thesis 'cancelled', keeping the companies it already saved
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const thesisId = parseInt(req.query.id);
+  
+  try {
+    const sql = getDb();
+    
+    const theses = await sql`SELECT id, status FROM theses WHERE id = ${thesisId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+    
+    // Not claimed by the worker yet (or paused between worker passes) - nothing to abort
+    const [dequeued] = await sql`
+      UPDATE theses SET status = 'cancelled', cancel_requested_at = NOW(), completed_at = NOW()
+      WHERE id = ${thesisId} AND status = 'queued'
+      RETURNING id
+    `;
+    if (dequeued) {
+      const [{ count }] = await sql`SELECT COUNT(*)::int AS count FROM companies WHERE thesis_id = ${thesisId}`;
+      await recordEvent(thesisId, 'cancelled', { thesis_id: thesisId, company_count: count });
+      return res.status(200).json({
+        success: true,
+        thesis_id: thesisId,
+        status: 'cancelled'
+      });
+    }
+    
+    const [flagged] = await sql`
+      UPDATE theses SET cancel_requested_at = NOW()
+      WHERE id = ${thesisId} AND status = 'running'
+      RETURNING id
+    `;
+    if (!flagged) {
+      return res.status(409).json({ error: `Cannot cancel a thesis with status '${theses[0].status}'` });
+    }
+    
+    res.status(202).json({
+      success: true,
+      thesis_id: thesisId,
+      status: 'cancelling'
+    });
+  } catch (error) {
+    console.error('Thesis cancel error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,44 @@
+import { getDb } from '../../../lib/db.js';
+import { diffRuns } from '../../../lib/diff.js';
+
+/**
+ * Diff a re-run against its parent run
+ * GET /api/thesis/:id/diff - New companies, dropped companies (with the stage that
+ * rejected them in this run) and score changes on companies present in both runs
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const thesisId = parseInt(req.query.id);
+  
+  try {
+    const sql = getDb();
+    
+    const theses = await sql`SELECT * FROM theses WHERE id = ${thesisId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+    
+    const thesis = theses[0];
+    if (!thesis.parent_id) {
+      return res.status(400).json({ error: 'Thesis is not a re-run (no parent run to diff against)' });
+    }
+    
+    const diff = await diffRuns(thesis);
+    res.status(200).json(diff);
+  } catch (error) {
+    console.error('Thesis diff error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
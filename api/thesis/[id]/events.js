@@ -0,0 +1,45 @@
+import { getDb } from '../../../lib/db.js';
+import { followRun } from '../../../lib/runs.js';
+
+export const config = {
+  maxDuration: 60,
+};
+
+/**
+ * Replayable SSE stream of a thesis run
+ * GET /api/thesis/:id/events - Streams stored run events, then tails new ones until the run finishes
+ * Resume point (exclusive):
+ *   - Last-Event-ID header (sent automatically by EventSource on reconnect)
+ *   - last_event_id query param (for the first connection)
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const thesisId = parseInt(req.query.id);
+  const after = parseInt(req.headers['last-event-id'] || req.query.last_event_id) || 0;
+
+  try {
+    const sql = getDb();
+
+    const theses = await sql`SELECT id FROM theses WHERE id = ${thesisId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+  } catch (error) {
+    console.error('Thesis events error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  await followRun(req, res, thesisId, { after });
+}
@@ -0,0 +1,46 @@
+import { getDb } from '../../../lib/db.js';
+import { getFunnel, FUNNEL_STAGES } from '../../../lib/funnel.js';
+
+/**
+ * Funnel audit for a run
+ * GET /api/thesis/:id/funnel - Candidates entering, rejected at and passing each stage,
+ * and every rejected candidate with the stage and reason (nearest misses first)
+ * Query params:
+ *   - stage: only list candidates rejected at this stage
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const thesisId = parseInt(req.query.id);
+  const stage = req.query.stage || null;
+
+  if (stage && !FUNNEL_STAGES.includes(stage)) {
+    return res.status(400).json({ error: `stage must be one of: ${FUNNEL_STAGES.join(', ')}` });
+  }
+
+  try {
+    const sql = getDb();
+
+    const theses = await sql`SELECT id, status FROM theses WHERE id = ${thesisId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+
+    const funnel = await getFunnel(thesisId, { stage });
+    res.status(200).json({ thesis_id: thesisId, status: theses[0].status, ...funnel });
+  } catch (error) {
+    console.error('Thesis funnel error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
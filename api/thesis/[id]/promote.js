@@ -0,0 +1,100 @@
+import { getDb } from '../../../lib/db.js';
+import { runConfigOf } from '../../../lib/config.js';
+import { analyzeCandidate } from '../../../lib/research.js';
+import { saveCompany, isActiveStatus } from '../../../lib/runs.js';
+import { markPromoted } from '../../../lib/funnel.js';
+
+export const config = {
+  maxDuration: 300, // Enrichment, website, profile, founder research and analysis of one company
+};
+
+/**
+ * Promote a candidate into a thesis's analyzed companies
+ * POST /api/thesis/:id/promote
+ * Body (one of):
+ *   - candidate_id: a rejected candidate from GET /api/thesis/:id/funnel
+ *   - name (+ optional website, description): a company entered by hand
+ * The company is enriched, profiled, founder-researched, analyzed and scored against the
+ * thesis's stored search terms and config, then saved with manually_added = true; the
+ * candidate's funnel row is marked promoted_at
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const thesisId = parseInt(req.query.id);
+  const { candidate_id: candidateId, name, website, description } = req.body || {};
+
+  if (candidateId === undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ error: 'candidate_id or name is required' });
+  }
+
+  try {
+    const sql = getDb();
+
+    const theses = await sql`SELECT * FROM theses WHERE id = ${thesisId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+    const thesis = theses[0];
+    if (isActiveStatus(thesis.status)) {
+      return res.status(409).json({ error: 'Thesis run is still queued or running' });
+    }
+
+    let candidate;
+    if (candidateId !== undefined) {
+      const rows = await sql`
+        SELECT data FROM run_candidates
+        WHERE id = ${parseInt(candidateId)} AND thesis_id = ${thesisId} AND rejected
+      `;
+      if (rows.length === 0) {
+        return res.status(404).json({ error: 'Rejected candidate not found for this thesis' });
+      }
+      const { rejection_reason, ...data } = rows[0].data;
+      candidate = data;
+    } else {
+      candidate = {
+        name: name.trim(),
+        website: website || null,
+        description: description || null,
+        source: 'manual',
+        discovery_source: 'manual',
+      };
+    }
+
+    const existing = await sql`
+      SELECT id FROM companies
+      WHERE thesis_id = ${thesisId} AND LOWER(name) = LOWER(${candidate.name})
+    `;
+    if (existing.length > 0) {
+      return res.status(409).json({ error: `${candidate.name} is already in this thesis`, company_id: existing[0].id });
+    }
+
+    const [searchTerms] = await sql`
+      SELECT output FROM run_stages WHERE thesis_id = ${thesisId} AND stage = 'search_terms'
+    `;
+
+    const analyzed = await analyzeCandidate(thesis.thesis, candidate, {
+      searchTerms: searchTerms?.output,
+      config: runConfigOf(thesis),
+    });
+    const company = await saveCompany(thesisId, { ...analyzed, manually_added: true });
+    await markPromoted(thesisId, candidate.name, company.id);
+
+    res.status(200).json({ success: true, company });
+
+  } catch (error) {
+    console.error('Error promoting candidate:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
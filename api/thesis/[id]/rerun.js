@@ -0,0 +1,52 @@
+import { getDb } from '../../../lib/db.js';
+import { followRun } from '../../../lib/runs.js';
+import { kickWorker } from '../../../lib/worker.js';
+import { runConfigOf } from '../../../lib/config.js';
+
+export const config = {
+  maxDuration: 60, // Only follows the run's events - the run worker executes it
+};
+
+/**
+ * Re-run a thesis as a new run linked to the previous one (with the same config)
+ * POST /api/thesis/:id/rerun - Queues the run and streams SSE events like POST /api/thesis/run
+ * Compare the two runs afterwards with GET /api/thesis/:newId/diff
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const parentId = parseInt(req.query.id);
+  
+  let newThesis;
+  try {
+    const sql = getDb();
+    
+    const theses = await sql`SELECT * FROM theses WHERE id = ${parentId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+    
+    [newThesis] = await sql`
+      INSERT INTO theses (thesis, status, parent_id, config)
+      VALUES (${theses[0].thesis}, 'queued', ${parentId}, ${JSON.stringify(runConfigOf(theses[0]))}::jsonb)
+      RETURNING *
+    `;
+  } catch (error) {
+    console.error('Thesis rerun error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  
+  kickWorker(req);
+  await followRun(req, res, newThesis.id);
+}
@@ -0,0 +1,78 @@
+import { getDb } from '../../../lib/db.js';
+import { runConfigOf } from '../../../lib/config.js';
+import { validateRubric, rescoreCompany } from '../../../lib/scoring.js';
+import { isActiveStatus } from '../../../lib/runs.js';
+
+/**
+ * Recompute a thesis's company scores with new rubric weights
+ * POST /api/thesis/:id/rescore
+ * Body:
+ *   - rubric: dimension weights, same shape as config.rubric in POST /api/thesis/run
+ * Uses each company's stored score_breakdown - nothing is re-analyzed, so a dimension
+ * the run never scored can't be given a weight here
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const thesisId = parseInt(req.query.id);
+  const { rubric, errors } = validateRubric(req.body?.rubric);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `Invalid rubric: ${errors.join('; ')}` });
+  }
+
+  try {
+    const sql = getDb();
+
+    const theses = await sql`SELECT id, status, config FROM theses WHERE id = ${thesisId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+    if (isActiveStatus(theses[0].status)) {
+      return res.status(409).json({ error: 'Thesis run is still queued or running' });
+    }
+
+    const companies = await sql`SELECT * FROM companies WHERE thesis_id = ${thesisId}`;
+    const rescored = companies.map(company => ({ company, ...rescoreCompany(company, rubric) }));
+
+    const missing = [...new Set(rescored.flatMap(r => r.missing))];
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: `Dimensions not scored in this run: ${missing.join(', ')} (re-run the thesis with them in config.rubric)`,
+      });
+    }
+
+    for (const { company, total_score, score_breakdown } of rescored) {
+      await sql`
+        UPDATE companies
+        SET total_score = ${total_score}, score_breakdown = ${JSON.stringify(score_breakdown)}::jsonb
+        WHERE id = ${company.id}
+      `;
+    }
+
+    // Later resumes and re-runs score with the new weights too
+    const config = { ...runConfigOf(theses[0]), rubric };
+    await sql`UPDATE theses SET config = ${JSON.stringify(config)}::jsonb WHERE id = ${thesisId}`;
+
+    const results = rescored
+      .map(({ company, total_score, score_breakdown }) => ({ ...company, total_score, score_breakdown }))
+      .sort((a, b) => b.total_score - a.total_score);
+
+    res.status(200).json({ success: true, rubric, companies: results });
+
+  } catch (error) {
+    console.error('Error rescoring thesis:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
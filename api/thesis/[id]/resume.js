@@ -0,0 +1,60 @@
+import { getDb } from '../../../lib/db.js';
+import { followRun, lastEventId } from '../../../lib/runs.js';
+import { kickWorker } from '../../../lib/worker.js';
+
+export const config = {
+  maxDuration: 60, // Only follows the run's events - the run worker executes it
+};
+
+/**
+ * Resume a failed or cancelled thesis run from its last completed stage
+ * POST /api/thesis/:id/resume - Re-queues the run and streams its new SSE events like
+ * POST /api/thesis/run
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const thesisId = parseInt(req.query.id);
+  
+  let thesis;
+  let after;
+  try {
+    const sql = getDb();
+    
+    const theses = await sql`SELECT * FROM theses WHERE id = ${thesisId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+    
+    // Events from earlier attempts aren't streamed again
+    after = await lastEventId(thesisId);
+    
+    // Only failed/cancelled runs can be resumed; the status guard stops two resumes racing
+    const [resumed] = await sql`
+      UPDATE theses SET status = 'queued', cancel_requested_at = NULL, run_attempts = 0
+      WHERE id = ${thesisId} AND status IN ('failed', 'cancelled')
+      RETURNING *
+    `;
+    if (!resumed) {
+      return res.status(409).json({ error: `Cannot resume a thesis with status '${theses[0].status}'` });
+    }
+    thesis = resumed;
+  } catch (error) {
+    console.error('Thesis resume error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  
+  kickWorker(req);
+  await followRun(req, res, thesis.id, { after });
+}
@@ -0,0 +1,65 @@
+import { getDb } from '../../../lib/db.js';
+import { FREQUENCIES } from '../../../lib/monitor.js';
+
+/**
+ * Subscribe to a thesis so it re-runs on a schedule
+ * POST /api/thesis/:id/subscribe
+ * Body:
+ *   - frequency: 'daily' | 'weekly' (default 'weekly')
+ *   - active: false to pause/unsubscribe (default true)
+ * Scheduled runs are picked up by GET /api/monitor
+ */
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const thesisId = parseInt(req.query.id);
+  const { frequency = 'weekly', active = true } = req.body || {};
+  
+  if (!FREQUENCIES[frequency]) {
+    return res.status(400).json({ error: `frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}` });
+  }
+  
+  try {
+    const sql = getDb();
+    
+    const theses = await sql`SELECT id FROM theses WHERE id = ${thesisId}`;
+    if (theses.length === 0) {
+      return res.status(404).json({ error: 'Thesis not found' });
+    }
+    
+    // First scheduled run is one period after subscribing - the thesis was just run
+    const [subscription] = await sql`
+      INSERT INTO thesis_subscriptions (thesis_id, frequency, active, next_run_at)
+      VALUES (
+        ${thesisId},
+        ${frequency},
+        ${!!active},
+        NOW() + (${FREQUENCIES[frequency]}::int * INTERVAL '1 day')
+      )
+      ON CONFLICT (thesis_id) DO UPDATE SET
+        frequency = EXCLUDED.frequency,
+        active = EXCLUDED.active,
+        next_run_at = CASE
+          WHEN thesis_subscriptions.frequency = EXCLUDED.frequency THEN thesis_subscriptions.next_run_at
+          ELSE EXCLUDED.next_run_at
+        END
+      RETURNING *
+    `;
+    
+    res.status(200).json({ success: true, subscription });
+  } catch (error) {
+    console.error('Thesis subscribe error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -1,11 +1,18 @@
 import { getDb } from '../../lib/db.js';
 // Using full search-first research: Brave + Crunchbase search, fit filter, then Claude analysis
-import { runResearch } from '../../lib/research.js';
+import { followRun } from '../../lib/runs.js';
+import { kickWorker } from '../../lib/worker.js';
+import { validateRunConfig } from '../../lib/config.js';
 
 export const config = {
-  maxDuration: 120, // Allow up to 120 seconds for search + analysis pipeline
+  maxDuration: 60, // Only follows the run's events - the run worker executes it
 };
 
+/**
+ * Start a thesis run
+ * POST /api/thesis/run - Queues the run for the run worker (see lib/worker.js) and streams its
+ * events as SSE; the stream ends after ~50s and continues at GET /api/thesis/:id/events
+ */
 export default async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -20,123 +27,32 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
-  const { thesis } = req.body;
+  const { thesis, config: requestedConfig } = req.body;
   
   if (!thesis || typeof thesis !== 'string' || thesis.trim().length === 0) {
     return res.status(400).json({ error: 'Thesis is required' });
   }
   
-  // Set up SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  
-  const sendEvent = (type, data) => {
-    res.write(`event: ${type}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
+  const { config: runConfig, errors } = validateRunConfig(requestedConfig);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `Invalid config: ${errors.join('; ')}` });
+  }
   
+  let newThesis;
   try {
     const sql = getDb();
     
-    // Create thesis record
-    const [newThesis] = await sql`
-      INSERT INTO theses (thesis, status)
-      VALUES (${thesis.trim()}, 'running')
+    // Create thesis record - queued until the worker claims it
+    [newThesis] = await sql`
+      INSERT INTO theses (thesis, status, config)
+      VALUES (${thesis.trim()}, 'queued', ${JSON.stringify(runConfig)}::jsonb)
       RETURNING *
     `;
-    
-    sendEvent('start', { thesis_id: newThesis.id, thesis: thesis.trim() });
-    
-    const companies = [];
-    
-    // Run research with streaming
-    for await (const event of runResearch(thesis.trim())) {
-      if (event.type === 'progress') {
-        sendEvent('progress', { message: event.message });
-      } else if (event.type === 'company') {
-        // Save company to database
-        const thesisRelevance = event.data.thesis_relevance || 5;
-        const recency = event.data.recency || 5;
-        const foundingTeam = event.data.founding_team || 5;
-        const totalScore = thesisRelevance + recency + foundingTeam;
-        
-        const [savedCompany] = await sql`
-          INSERT INTO companies (
-            thesis_id, name, description, writeup,
-            thesis_relevance, recency, founding_team, total_score,
-            website, x_url, crunchbase_url, founded_year,
-            fit_type, discovered_via_theme,
-            funding_stage, last_funding_type, sources
-          )
-          VALUES (
-            ${newThesis.id},
-            ${event.data.name},
-            ${event.data.description || ''},
-            ${event.data.writeup || ''},
-            ${thesisRelevance},
-            ${recency},
-            ${foundingTeam},
-            ${totalScore},
-            ${event.data.website || null},
-            ${event.data.x_url || null},
-            ${event.data.crunchbase_url || null},
-            ${event.data.founded_year || null},
-            ${event.data.fit_type || 'direct'},
-            ${event.data.discovered_via_theme || null},
-            ${event.data.funding_stage || 'unknown'},
-            ${event.data.last_funding_type || null},
-            ${event.data.sources ? JSON.stringify(event.data.sources) : null}::jsonb
-          )
-          RETURNING *
-        `;
-        companies.push(savedCompany);
-        sendEvent('company', savedCompany);
-      } else if (event.type === 'complete') {
-        // Update thesis with summary, public comps, adjacent themes, and thesis sources
-        const adjacentThemes = event.data.adjacent_themes || [];
-        const discoveryStats = event.data.discovery_stats || null;
-        const thesisSources = event.data.thesis_sources || [];
-        
-        // JSONB columns need the object passed directly (neon driver handles conversion)
-        // or cast explicitly with ::jsonb
-        await sql`
-          UPDATE theses SET
-            status = 'complete',
-            completed_at = NOW(),
-            summary = ${event.data.summary || ''},
-            public_comps = ${event.data.public_comps || []},
-            adjacent_themes = ${JSON.stringify(adjacentThemes)}::jsonb,
-            discovery_stats = ${discoveryStats ? JSON.stringify(discoveryStats) : null}::jsonb,
-            thesis_sources = ${thesisSources.length > 0 ? JSON.stringify(thesisSources) : null}::jsonb
-          WHERE id = ${newThesis.id}
-        `;
-        
-        sendEvent('complete', {
-          thesis_id: newThesis.id,
-          summary: event.data.summary,
-          public_comps: event.data.public_comps,
-          adjacent_themes: adjacentThemes,
-          thesis_sources: thesisSources,
-          company_count: companies.length
-        });
-      } else if (event.type === 'error') {
-        sendEvent('error', { message: event.message });
-      }
-    }
-    
   } catch (error) {
     console.error('Thesis run error:', error);
-    sendEvent('error', { message: error.message });
-    
-    // Try to update thesis status to failed
-    try {
-      const sql = getDb();
-      await sql`UPDATE theses SET status = 'failed' WHERE thesis = ${thesis.trim()} AND status = 'running'`;
-    } catch (e) {
-      // Ignore
-    }
-  } finally {
-    res.end();
+    return res.status(500).json({ error: error.message });
   }
+  
+  kickWorker(req);
+  await followRun(req, res, newThesis.id);
 }
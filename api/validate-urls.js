@@ -1,61 +1,56 @@
 import { getDb } from '../lib/db.js';
+import { checkUrl } from '../lib/url-check.js';
+import { mapConcurrent } from '../lib/concurrency.js';
 
 export const config = {
   maxDuration: 60, // Allow up to 60 seconds for validation
 };
 
+// URLs checked at once - each check is at most a 4s HEAD followed by an 8s GET
+const URL_CHECK_CONCURRENCY = 10;
+
 /**
  * Background URL validation endpoint
- * GET /api/validate-urls - Validates company website URLs and updates url_valid field
+ * GET /api/validate-urls - Checks company website URLs (see lib/url-check.js) and stores
+ * url_status, url_final, url_checked_at and url_valid (url_status = 'ok')
  * Query params:
- *   - limit: Max companies to validate (default 20)
+ *   - limit: Max companies to validate (default 20, max 40)
  *   - thesis_id: Optional - only validate companies from specific thesis
+ *   - recheck: true to re-check companies that were already checked
  */
 export default async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
+
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
-  
+
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
-  
-  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 40);
   const thesisId = req.query.thesis_id ? parseInt(req.query.thesis_id) : null;
-  
+  const recheck = req.query.recheck === 'true';
+
   try {
     const sql = getDb();
-    
-    // Get companies with websites that haven't been validated yet
-    let companies;
-    if (thesisId) {
-      companies = await sql`
-        SELECT id, name, website 
-        FROM companies 
-        WHERE website IS NOT NULL 
-          AND website != '' 
-          AND url_valid IS NULL
-          AND thesis_id = ${thesisId}
-        ORDER BY id DESC
-        LIMIT ${limit}
-      `;
-    } else {
-      companies = await sql`
-        SELECT id, name, website 
-        FROM companies 
-        WHERE website IS NOT NULL 
-          AND website != '' 
-          AND url_valid IS NULL
-        ORDER BY id DESC
-        LIMIT ${limit}
-      `;
-    }
-    
+
+    // Companies with websites that haven't been checked yet (oldest checks first when re-checking)
+    const companies = await sql`
+      SELECT id, name, website
+      FROM companies
+      WHERE website IS NOT NULL
+        AND website != ''
+        AND (${recheck} OR url_checked_at IS NULL)
+        AND (${thesisId}::int IS NULL OR thesis_id = ${thesisId})
+      ORDER BY url_checked_at ASC NULLS FIRST, id DESC
+      LIMIT ${limit}
+    `;
+
     if (companies.length === 0) {
       return res.json({
         success: true,
@@ -63,87 +58,64 @@ export default async function handler(req, res) {
         validated: 0,
         valid: 0,
         invalid: 0,
+        statuses: {},
       });
     }
-    
+
     const results = {
       validated: 0,
       valid: 0,
       invalid: 0,
+      statuses: {},
       details: [],
     };
-    
-    // Validate each URL with HEAD request (faster than GET)
-    for (const company of companies) {
-      let isValid = null;
-      let error = null;
-      
-      try {
-        // Ensure URL has protocol
-        let url = company.website;
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-          url = 'https://' + url;
-        }
-        
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 5000); // 5s timeout
-        
-        const response = await fetch(url, {
-          method: 'HEAD',
-          signal: controller.signal,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; SeedSyndicateBot/1.0)',
-          },
-          redirect: 'follow',
-        });
-        
-        clearTimeout(timeout);
-        
-        // Consider 2xx and 3xx as valid
-        isValid = response.status >= 200 && response.status < 400;
-        
-        if (!isValid) {
-          error = `HTTP ${response.status}`;
-        }
-      } catch (e) {
-        isValid = false;
-        error = e.name === 'AbortError' ? 'Timeout' : e.message;
-      }
-      
-      // Update database
+
+    const check = async (company) => {
+      const checked = await checkUrl(company.website, { name: company.name });
       await sql`
-        UPDATE companies 
-        SET url_valid = ${isValid}
+        UPDATE companies
+        SET url_valid = ${checked.url_valid},
+            url_status = ${checked.url_status},
+            url_final = ${checked.url_final},
+            url_checked_at = NOW()
         WHERE id = ${company.id}
       `;
-      
+      return checked;
+    };
+
+    for await (const { index, value: checked } of mapConcurrent(companies, URL_CHECK_CONCURRENCY, check)) {
+      const company = companies[index];
       results.validated++;
-      if (isValid) {
+      if (checked.url_valid) {
         results.valid++;
       } else {
         results.invalid++;
       }
-      
+      results.statuses[checked.url_status] = (results.statuses[checked.url_status] || 0) + 1;
+
       results.details.push({
         id: company.id,
         name: company.name,
         website: company.website,
-        valid: isValid,
-        error: error,
+        valid: checked.url_valid,
+        status: checked.url_status,
+        final_url: checked.url_final,
+        http_status: checked.http_status,
+        detail: checked.detail,
       });
     }
-    
+
     return res.json({
       success: true,
       message: `Validated ${results.validated} company URLs`,
       ...results,
     });
-    
+
   } catch (error) {
     console.error('URL validation error:', error);
-    return res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    return res.status(500).json({
+      success: false,
+      error: error.message
     });
   }
 }
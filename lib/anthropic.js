@@ -0,0 +1,26 @@
+// Shared Anthropic client
+// All Claude calls go through createMessage() so they can be recorded and replayed (see lib/recorder.js)
+
+import Anthropic from '@anthropic-ai/sdk';
+import { recorded } from './recorder.js';
+
+let client = null;
+
+// Created on first use - replay runs never need ANTHROPIC_API_KEY
+function getClient() {
+  if (!client) {
+    client = new Anthropic({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+    });
+  }
+  return client;
+}
+
+/**
+ * anthropic.messages.create(), recorded/replayed when RECORD_MODE is set
+ * @param {Object} params - Message request (model, max_tokens, messages, ...)
+ * @param {AbortSignal} options.signal - Aborts the request (run cancelled)
+ */
+export function createMessage(params, { signal } = {}) {
+  return recorded('anthropic', params, () => getClient().messages.create(params, { signal }), { signal });
+}
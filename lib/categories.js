@@ -0,0 +1,106 @@
+// Crunchbase category groups
+// The thesis analysis suggests free-form industry categories ("Autonomous Vehicles", "Logistics");
+// Crunchbase's category_groups predicate only accepts its own groups, so map onto those
+
+/**
+ * Crunchbase category groups (permalink -> label)
+ */
+export const CATEGORY_GROUPS = {
+  'administrative-services': 'Administrative Services',
+  'advertising': 'Advertising',
+  'agriculture-and-farming': 'Agriculture and Farming',
+  'apps': 'Apps',
+  'artificial-intelligence': 'Artificial Intelligence',
+  'biotechnology': 'Biotechnology',
+  'clothing-and-apparel': 'Clothing and Apparel',
+  'commerce-and-shopping': 'Commerce and Shopping',
+  'community-and-lifestyle': 'Community and Lifestyle',
+  'consumer-electronics': 'Consumer Electronics',
+  'consumer-goods': 'Consumer Goods',
+  'content-and-publishing': 'Content and Publishing',
+  'data-and-analytics': 'Data and Analytics',
+  'design': 'Design',
+  'education': 'Education',
+  'energy': 'Energy',
+  'events': 'Events',
+  'financial-services': 'Financial Services',
+  'food-and-beverage': 'Food and Beverage',
+  'gaming': 'Gaming',
+  'government-and-military': 'Government and Military',
+  'hardware': 'Hardware',
+  'health-care': 'Health Care',
+  'information-technology': 'Information Technology',
+  'internet-services': 'Internet Services',
+  'lending-and-investments': 'Lending and Investments',
+  'manufacturing': 'Manufacturing',
+  'media-and-entertainment': 'Media and Entertainment',
+  'messaging-and-telecommunications': 'Messaging and Telecommunications',
+  'mobile': 'Mobile',
+  'music-and-audio': 'Music and Audio',
+  'natural-resources': 'Natural Resources',
+  'navigation-and-mapping': 'Navigation and Mapping',
+  'payments': 'Payments',
+  'platforms': 'Platforms',
+  'privacy-and-security': 'Privacy and Security',
+  'professional-services': 'Professional Services',
+  'real-estate': 'Real Estate',
+  'sales-and-marketing': 'Sales and Marketing',
+  'science-and-engineering': 'Science and Engineering',
+  'software': 'Software',
+  'sports': 'Sports',
+  'sustainability': 'Sustainability',
+  'transportation': 'Transportation',
+  'travel-and-tourism': 'Travel and Tourism',
+  'video': 'Video',
+};
+
+// Common category names that aren't groups themselves -> the group they belong to
+// (matched as whole words inside the suggested category)
+const CATEGORY_ALIASES = [
+  [/\b(ai|machine learning|ml|deep learning|computer vision|nlp|generative|llm)\b/, 'artificial-intelligence'],
+  [/\b(autonomous|self driving|driverless|vehicles?|automotive|logistics|freight|trucking|shipping|supply chain|fleet|mobility|delivery)\b/, 'transportation'],
+  [/\b(robotics?|drones?|semiconductors?|chips?|sensors?|lidar|iot|3d printing)\b/, 'hardware'],
+  [/\b(fintech|banking|insurance|insurtech|accounting)\b/, 'financial-services'],
+  [/\b(crypto|blockchain|web3)\b/, 'payments'],
+  [/\b(health|healthcare|medical|medtech|digital health|telehealth)\b/, 'health-care'],
+  [/\b(biotech|life sciences|genomics|drug discovery|therapeutics)\b/, 'biotechnology'],
+  [/\b(security|cybersecurity|privacy|identity)\b/, 'privacy-and-security'],
+  [/\b(saas|enterprise software|developer tools|devtools|b2b software)\b/, 'software'],
+  [/\b(climate|cleantech|carbon|recycling|circular)\b/, 'sustainability'],
+  [/\b(solar|battery|batteries|grid|renewable|oil and gas|nuclear)\b/, 'energy'],
+  [/\b(edtech|learning|training)\b/, 'education'],
+  [/\b(e ?commerce|retail|marketplace)\b/, 'commerce-and-shopping'],
+  [/\b(proptech|construction|property)\b/, 'real-estate'],
+  [/\b(agtech|agriculture|farming|food tech)\b/, 'agriculture-and-farming'],
+  [/\b(analytics|big data|data infrastructure|databases?)\b/, 'data-and-analytics'],
+  [/\b(defense|govtech|public sector|aerospace|space)\b/, 'government-and-military'],
+  [/\b(industrial|factory|warehouse|warehousing)\b/, 'manufacturing'],
+  [/\b(mapping|navigation|geospatial|gis)\b/, 'navigation-and-mapping'],
+  [/\b(telecom|telecommunications|5g|networking)\b/, 'messaging-and-telecommunications'],
+  [/\b(adtech|martech|marketing|sales)\b/, 'sales-and-marketing'],
+];
+
+const slugify = (value) => value.toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Map suggested categories onto Crunchbase category groups
+ * Exact group names (label or permalink) win; otherwise the first alias that matches
+ * @param {Array<string>} categories - Free-form categories from the thesis analysis
+ * @param {number} max - Maximum groups returned
+ * @returns {Array<string>} - Unique category group permalinks, in suggestion order
+ */
+export function toCategoryGroups(categories, max = 4) {
+  const groups = [];
+  for (const category of categories || []) {
+    if (typeof category !== 'string') continue;
+    const slug = slugify(category);
+    const text = slug.replace(/-/g, ' ');
+    const group = CATEGORY_GROUPS[slug]
+      ? slug
+      : CATEGORY_ALIASES.find(([pattern]) => pattern.test(text))?.[1];
+    if (group && !groups.includes(group)) {
+      groups.push(group);
+    }
+  }
+  return groups.slice(0, max);
+}
@@ -0,0 +1,56 @@
+import { getDb } from './db.js';
+
+/**
+ * Checkpoint store backed by the run_stages table
+ * Each pipeline stage's output is saved per thesis so a failed run can resume
+ * from the last completed stage instead of re-spending API calls
+ */
+export function createCheckpointStore(thesisId) {
+  return {
+    async load() {
+      const sql = getDb();
+      const rows = await sql`
+        SELECT stage, output FROM run_stages
+        WHERE thesis_id = ${thesisId}
+      `;
+      return new Map(rows.map(r => [r.stage, r.output]));
+    },
+
+    async save(stage, output) {
+      const sql = getDb();
+      await sql`
+        INSERT INTO run_stages (thesis_id, stage, output)
+        VALUES (${thesisId}, ${stage}, ${JSON.stringify(output)}::jsonb)
+        ON CONFLICT (thesis_id, stage)
+        DO UPDATE SET output = EXCLUDED.output, completed_at = NOW()
+      `;
+    },
+  };
+}
+
+/**
+ * In-memory checkpoint store (used when a run is not tied to a thesis row)
+ */
+export function createMemoryCheckpointStore() {
+  const stages = new Map();
+  return {
+    async load() {
+      return new Map(stages);
+    },
+    async save(stage, output) {
+      stages.set(stage, output);
+    },
+  };
+}
+
+/**
+ * List completed stages for a thesis (without their outputs)
+ */
+export async function listCompletedStages(thesisId) {
+  const sql = getDb();
+  return sql`
+    SELECT stage, completed_at FROM run_stages
+    WHERE thesis_id = ${thesisId}
+    ORDER BY completed_at ASC
+  `;
+}
@@ -0,0 +1,41 @@
+// Bounded concurrency helpers
+
+/**
+ * Run fn over items with at most `limit` calls in flight, yielding each result as soon
+ * as it finishes (completion order, not input order)
+ * The first failure is rethrown once in-flight calls have settled
+ * @param {Array} items
+ * @param {number} limit - Max concurrent calls
+ * @param {Function} fn - async (item, index) => value
+ * @yields {Object} - { index, value }
+ */
+export async function* mapConcurrent(items, limit, fn) {
+  const inFlight = new Map();
+  let next = 0;
+  let failure = null;
+
+  const launch = () => {
+    const index = next++;
+    inFlight.set(index, Promise.resolve()
+      .then(() => fn(items[index], index))
+      .then(value => ({ index, value }), error => ({ index, error })));
+  };
+
+  while (next < items.length || inFlight.size > 0) {
+    while (!failure && next < items.length && inFlight.size < Math.max(1, limit)) {
+      launch();
+    }
+    if (inFlight.size === 0) break;
+
+    const result = await Promise.race(inFlight.values());
+    inFlight.delete(result.index);
+
+    if (result.error) {
+      failure = failure || result.error;
+    } else if (!failure) {
+      yield result;
+    }
+  }
+
+  if (failure) throw failure;
+}
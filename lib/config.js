@@ -0,0 +1,113 @@
+// Per-run pipeline configuration
+// Sent as `config` in POST /api/thesis/run, validated here and stored on the theses row,
+// so a run (and its resumes and re-runs) always uses the same thresholds
+
+import { PROVIDER_NAMES, defaultProviderNames } from './providers/index.js';
+import { STAGE_PROFILES, DEFAULT_STAGE, stageProfile } from './stages.js';
+import { REGION_NAMES } from './regions.js';
+import { validateRubric } from './scoring.js';
+
+export const DEFAULT_RUN_CONFIG = {
+  stage: DEFAULT_STAGE,      // Investment stage profile (see lib/stages.js)
+  min_keyword_matches: 4,    // Thesis keywords a description must contain
+  fit_threshold: 7,          // Minimum quick-fit score (1-10)
+  max_analyzed: null,        // Cap on companies sent to deep analysis (null = all that pass the fit filter)
+  max_websites: 40,          // Web-sourced company websites read and summarized (best snippet matches first)
+  founded_after: null,       // Crunchbase founded_on lower bound (null = the stage profile's default)
+  max_themes: 6,             // Adjacent themes searched per provider
+  max_queries: 6,            // Search queries searched per provider
+  crunchbase_budget: 25,     // Crunchbase organizations fetched for the primary keyword search (paged 25 at a time)
+  sources: null,             // Discovery providers (null = DISCOVERY_PROVIDERS or crunchbase,brave)
+  region: null,              // Geographic focus (see lib/regions.js, null = anywhere)
+  rubric: null,              // Scoring dimension weights (see lib/scoring.js, null = relevance + recency + team)
+};
+
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate a run config and fill in defaults
+ * @param {Object} input - Partial config from the request body (may be undefined)
+ * @returns {Object} - { config, errors } - config has every field resolved
+ */
+export function validateRunConfig(input) {
+  const errors = [];
+
+  if (input === undefined || input === null) {
+    input = {};
+  } else if (typeof input !== 'object' || Array.isArray(input)) {
+    return { config: null, errors: ['config must be an object'] };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!(key in DEFAULT_RUN_CONFIG)) {
+      errors.push(`Unknown config field: ${key}`);
+    }
+  }
+
+  const config = { ...DEFAULT_RUN_CONFIG, ...input };
+
+  if (!STAGE_PROFILES[config.stage]) {
+    errors.push(`stage must be one of: ${Object.keys(STAGE_PROFILES).join(', ')}`);
+  }
+  if (config.founded_after === null) {
+    config.founded_after = stageProfile(config.stage).founded_after;
+  }
+
+  if (!isIntegerIn(config.min_keyword_matches, 0, 20)) {
+    errors.push('min_keyword_matches must be an integer from 0 to 20');
+  }
+  if (!isIntegerIn(config.fit_threshold, 1, 10)) {
+    errors.push('fit_threshold must be an integer from 1 to 10');
+  }
+  if (config.max_analyzed !== null && !isIntegerIn(config.max_analyzed, 1, 100)) {
+    errors.push('max_analyzed must be an integer from 1 to 100 (or null for all)');
+  }
+  if (!isIntegerIn(config.max_websites, 0, 200)) {
+    errors.push('max_websites must be an integer from 0 to 200');
+  }
+  if (typeof config.founded_after !== 'string'
+    || !/^\d{4}-\d{2}-\d{2}$/.test(config.founded_after)
+    || Number.isNaN(Date.parse(config.founded_after))) {
+    errors.push('founded_after must be a date (YYYY-MM-DD)');
+  }
+  if (!isIntegerIn(config.max_themes, 0, 10)) {
+    errors.push('max_themes must be an integer from 0 to 10');
+  }
+  if (!isIntegerIn(config.max_queries, 0, 10)) {
+    errors.push('max_queries must be an integer from 0 to 10');
+  }
+  if (!isIntegerIn(config.crunchbase_budget, 1, 200)) {
+    errors.push('crunchbase_budget must be an integer from 1 to 200');
+  }
+
+  if (config.region !== null && !REGION_NAMES.includes(config.region)) {
+    errors.push(`region must be one of: ${REGION_NAMES.join(', ')} (or null for anywhere)`);
+  }
+
+  const { rubric, errors: rubricErrors } = validateRubric(config.rubric);
+  errors.push(...rubricErrors);
+  config.rubric = rubric;
+
+  if (config.sources === null) {
+    config.sources = defaultProviderNames();
+  }
+  if (!Array.isArray(config.sources) || config.sources.length === 0) {
+    errors.push(`sources must be a non-empty array of: ${PROVIDER_NAMES.join(', ')}`);
+  } else {
+    const unknown = config.sources.filter(s => !PROVIDER_NAMES.includes(s));
+    if (unknown.length > 0) {
+      errors.push(`Unknown sources: ${unknown.join(', ')} (expected: ${PROVIDER_NAMES.join(', ')})`);
+    }
+    config.sources = [...new Set(config.sources)];
+  }
+
+  return { config: errors.length === 0 ? config : null, errors };
+}
+
+/**
+ * Config for a stored run - rows saved before configs existed get the defaults
+ */
+export function runConfigOf(thesisRow) {
+  const config = { ...DEFAULT_RUN_CONFIG, sources: defaultProviderNames(), ...(thesisRow.config || {}) };
+  return { ...config, founded_after: config.founded_after || stageProfile(config.stage).founded_after };
+}
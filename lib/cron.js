@@ -0,0 +1,18 @@
+// Cron endpoint auth
+// /api/run-worker, /api/monitor and /api/reap-runs only answer requests carrying
+// Authorization: Bearer ${CRON_SECRET}. Vercel cron sends that header when CRON_SECRET is
+// set; kickWorker() sends it too
+
+/**
+ * Authorization header value for calls to the cron endpoints
+ */
+export function cronAuthorization() {
+  return `Bearer ${process.env.CRON_SECRET}`;
+}
+
+/**
+ * Does the request carry the cron secret? Always false when CRON_SECRET isn't set
+ */
+export function isCronRequest(req) {
+  return !!process.env.CRON_SECRET && req.headers.authorization === cronAuthorization();
+}
@@ -1,222 +1,379 @@
 // Crunchbase API integration
 // API Docs: https://data.crunchbase.com/docs
 
+import { recordedFetch, isReplaying } from './recorder.js';
+import { formatHeadquarters } from './regions.js';
+
 const CRUNCHBASE_API_KEY = process.env.CRUNCHBASE_API_KEY;
 const BASE_URL = 'https://api.crunchbase.com/api/v4';
 
+// Default founded_on lower bound for keyword searches (seed stage); runs override via config.founded_after
+const DEFAULT_FOUNDED_AFTER = '2019-01-01';
+
+// Organizations per search request; larger budgets page through results with after_id
+const PAGE_SIZE = 25;
+
+// Description terms ANDed in one request - more than this rarely matches anything
+const MAX_ALL_TERMS = 3;
+
+// Query words that never appear in a company description in a useful way
+const QUERY_STOPWORDS = new Set([
+  'and', 'for', 'the', 'with', 'startup', 'startups', 'company', 'companies', 'seed', 'pre-seed',
+  'series', 'funding', 'funded', 'raised', 'round', 'early', 'stage', 'new', 'top', 'best',
+]);
+
+const SEARCH_FIELD_IDS = [
+  'identifier',
+  'short_description',
+  'founded_on',
+  'website_url',
+  'funding_total',
+  'last_funding_type',
+  'last_funding_at',
+  'num_employees_enum',
+  'categories',
+  'category_groups',
+  'operating_status',
+  'location_identifiers'
+];
+
+const predicate = (field_id, operator_id, values) => ({ type: 'predicate', field_id, operator_id, values });
+
 /**
- * Search for organizations matching a query
- * Uses multiple search strategies to find relevant companies
+ * Split a query into description search terms
+ * Strings are split into words (stopwords, years and 1-2 letter words dropped); arrays are
+ * taken as-is, so multi-word phrases ("computer vision") stay one term
  */
-export async function searchOrganizations(query, limit = 10) {
-  if (!CRUNCHBASE_API_KEY) {
-    console.warn('CRUNCHBASE_API_KEY not set, skipping Crunchbase enrichment');
-    return [];
+export function queryTerms(query) {
+  const terms = Array.isArray(query)
+    ? query.map(t => String(t).trim().toLowerCase())
+    : String(query || '').toLowerCase().split(/\s+/)
+      .map(w => w.replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, ''))
+      .filter(w => w.length > 2 && !QUERY_STOPWORDS.has(w) && !/^\d{4}$/.test(w));
+  return [...new Set(terms.filter(Boolean))];
+}
+
+/**
+ * Build the predicate sets for an organization search
+ * The search API ANDs every predicate in a query, so OR terms become one query each:
+ *   all            - Terms every description must contain (capped at MAX_ALL_TERMS)
+ *   any            - Terms of which the description must contain at least one (one query per term)
+ *   categoryGroups - Crunchbase category groups the company must be in (see lib/categories.js)
+ * Every query also gets the shared filters (company facet, founded_on, active, funding rounds, locations)
+ * @returns {Array<Array<Object>>} - Predicate lists, one per request
+ */
+export function buildOrganizationQueries({
+  all = [],
+  any = [],
+  categoryGroups = [],
+  foundedAfter = DEFAULT_FOUNDED_AFTER,
+  fundingTypes = null,
+  locations = null,
+} = {}) {
+  const base = [
+    predicate('facet_ids', 'includes', ['company']),
+    // Focus on recent companies (seed stage by default)
+    predicate('founded_on', 'gte', [foundedAfter]),
+    // Filter out defunct/closed companies
+    predicate('operating_status', 'includes', ['active']),
+  ];
+
+  // Stage profiles that require a known round (Series A, growth), category searches
+  if (fundingTypes?.length) {
+    base.push(predicate('last_funding_type', 'includes', fundingTypes));
+  }
+  // Geographic focus (config.region)
+  if (locations?.length) {
+    base.push(predicate('location_identifiers', 'includes', locations));
+  }
+  if (categoryGroups.length > 0) {
+    base.push(predicate('category_groups', 'includes', categoryGroups));
   }
 
-  console.log(`[Crunchbase] Searching for: "${query}" with key: ${CRUNCHBASE_API_KEY.slice(0, 8)}...`);
+  for (const term of all.slice(0, MAX_ALL_TERMS)) {
+    base.push(predicate('short_description', 'contains', [term]));
+  }
 
-  try {
-    // Build query predicates
-    const queryPredicates = [
-      {
-        type: 'predicate',
-        field_id: 'facet_ids',
-        operator_id: 'includes',
-        values: ['company']
-      },
-      // Focus on recent companies (seed stage)
-      {
-        type: 'predicate',
-        field_id: 'founded_on',
-        operator_id: 'gte',
-        values: ['2019-01-01']
-      },
-      // Filter out defunct/closed companies
-      {
-        type: 'predicate',
-        field_id: 'operating_status',
-        operator_id: 'includes',
-        values: ['active']
-      }
-    ];
-
-    // Add description search with multiple keywords for better coverage
-    const keywords = query.split(' ').filter(k => k.length > 2).slice(0, 2);
-    if (keywords.length > 0) {
-      queryPredicates.push({
-        type: 'predicate',
-        field_id: 'short_description',
-        operator_id: 'contains',
-        values: [keywords[0]]
-      });
-    }
+  return any.length > 0
+    ? any.map(term => [...base, predicate('short_description', 'contains', [term])])
+    : [base];
+}
 
-    const response = await fetch(`${BASE_URL}/searches/organizations`, {
+/**
+ * Crunchbase search entity / entity properties -> normalized organization
+ */
+export function normalizeOrganization(entity) {
+  const props = entity?.properties || entity || {};
+  const name = props.identifier?.value;
+  if (!name) return null;
+  const permalink = props.identifier?.permalink || name.toLowerCase().replace(/\s+/g, '-');
+  const twitter = props.twitter_url?.value;
+  return {
+    uuid: entity?.uuid || props.identifier?.uuid || null,
+    permalink,
+    name,
+    description: props.short_description || '',
+    website: props.website_url?.value || null,
+    crunchbase_url: `https://www.crunchbase.com/organization/${permalink}`,
+    linkedin_url: props.linkedin_url?.value || null,
+    x_url: twitter ? `https://x.com/${twitter.replace(/^.*\//, '').replace('@', '')}` : null,
+    founded_on: props.founded_on?.value || null,
+    founded_year: props.founded_on?.value ? parseInt(props.founded_on.value.split('-')[0], 10) : null,
+    funding_total_usd: props.funding_total?.value_usd ?? null,
+    last_funding_type: props.last_funding_type || null,
+    last_funding_at: props.last_funding_at?.value || props.last_funding_at || null,
+    employee_range: formatEmployeeRange(props.num_employees_enum),
+    categories: (props.categories || []).map(c => c.value).filter(Boolean),
+    category_groups: (props.category_groups || []).map(c => c.value).filter(Boolean),
+    operating_status: props.operating_status || null,
+    headquarters: formatHeadquarters(props.location_identifiers),
+  };
+}
+
+/**
+ * Crunchbase employee enum -> display range ("c_00011_00050" -> "11-50", "c_10001_max" -> "10001+")
+ */
+function formatEmployeeRange(value) {
+  const match = /^c_0*(\d+)_(?:0*(\d+)|max)$/.exec(value || '');
+  if (!match) return null;
+  return match[2] ? `${match[1]}-${match[2]}` : `${match[1]}+`;
+}
+
+/**
+ * Run one predicate list, following after_id pages until the budget is spent
+ * @returns {Promise<Array>} - Raw entities
+ */
+async function fetchSearchPages(query, budget, { order, signal }) {
+  const entities = [];
+  let afterId = null;
+
+  while (entities.length < budget) {
+    const pageSize = Math.min(PAGE_SIZE, budget - entities.length);
+    const response = await recordedFetch('crunchbase', `${BASE_URL}/searches/organizations`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'X-cb-user-key': CRUNCHBASE_API_KEY,
       },
       body: JSON.stringify({
-        field_ids: [
-          'identifier',
-          'short_description',
-          'founded_on',
-          'website_url',
-          'funding_total',
-          'last_funding_type',
-          'last_funding_at',
-          'num_employees_enum',
-          'categories',
-          'category_groups',
-          'operating_status'
-        ],
-        query: queryPredicates,
-        order: [
-          { field_id: 'rank_org', sort: 'asc' }
-        ],
-        limit: Math.min(limit, 25),  // Request more to have buffer
+        field_ids: SEARCH_FIELD_IDS,
+        query,
+        order,
+        limit: pageSize,
+        ...(afterId ? { after_id: afterId } : {}),
       }),
+      signal,
     });
 
-    console.log(`[Crunchbase] Response status: ${response.status}`);
-
     if (!response.ok) {
       const errorText = await response.text();
       console.error(`[Crunchbase] Search error (${response.status}):`, errorText);
-      return [];
+      break;
     }
 
     const data = await response.json();
-    console.log(`[Crunchbase] Found ${data.entities?.length || 0} results for "${query}"`);
-    return data.entities || [];
-  } catch (error) {
-    console.error('[Crunchbase] Search failed:', error.message);
-    return [];
+    const page = data.entities || [];
+    entities.push(...page);
+    // A short page is the last one
+    if (page.length < pageSize || !page[page.length - 1]?.uuid) break;
+    afterId = page[page.length - 1].uuid;
   }
+
+  return entities;
 }
 
 /**
- * Search by category/industry group
+ * Run an organization search across every predicate list and merge the results
+ * The budget is split evenly between the lists; duplicates (same uuid/permalink) are dropped
+ * @returns {Promise<Array>} - Normalized organizations
  */
-export async function searchByCategory(categoryGroup, limit = 10) {
-  if (!CRUNCHBASE_API_KEY) return [];
-
-  console.log(`[Crunchbase] Searching category: "${categoryGroup}"`);
+async function runOrganizationSearch(queries, limit, { order, signal, label }) {
+  const perQuery = Math.max(1, Math.ceil(limit / queries.length));
+  const seen = new Set();
+  const organizations = [];
 
   try {
-    const response = await fetch(`${BASE_URL}/searches/organizations`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-cb-user-key': CRUNCHBASE_API_KEY,
-      },
-      body: JSON.stringify({
-        field_ids: [
-          'identifier',
-          'short_description',
-          'founded_on',
-          'website_url',
-          'funding_total',
-          'last_funding_type',
-          'categories'
-        ],
-        query: [
-          {
-            type: 'predicate',
-            field_id: 'facet_ids',
-            operator_id: 'includes',
-            values: ['company']
-          },
-          {
-            type: 'predicate',
-            field_id: 'category_groups',
-            operator_id: 'includes',
-            values: [categoryGroup]
-          },
-          {
-            type: 'predicate',
-            field_id: 'founded_on',
-            operator_id: 'gte',
-            values: ['2020-01-01']
-          },
-          {
-            type: 'predicate',
-            field_id: 'last_funding_type',
-            operator_id: 'includes',
-            values: ['seed', 'pre_seed', 'angel', 'series_a']
-          },
-          // Filter out defunct/closed companies
-          {
-            type: 'predicate',
-            field_id: 'operating_status',
-            operator_id: 'includes',
-            values: ['active']
-          }
-        ],
-        order: [
-          { field_id: 'funding_total', sort: 'desc' }
-        ],
-        limit,
-      }),
-    });
+    for (const query of queries) {
+      signal?.throwIfAborted();
+      for (const entity of await fetchSearchPages(query, perQuery, { order, signal })) {
+        const org = normalizeOrganization(entity);
+        const key = org?.uuid || org?.permalink;
+        if (org && !seen.has(key)) {
+          seen.add(key);
+          organizations.push(org);
+        }
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error(`[Crunchbase] ${label} failed:`, error.message);
+  }
 
-    if (!response.ok) return [];
+  console.log(`[Crunchbase] Found ${organizations.length} results for ${label}`);
+  return organizations.slice(0, limit);
+}
 
-    const data = await response.json();
-    console.log(`[Crunchbase] Found ${data.entities?.length || 0} companies in category "${categoryGroup}"`);
-    return data.entities || [];
-  } catch (error) {
-    console.error('[Crunchbase] Category search failed:', error.message);
+/**
+ * Search for organizations whose description matches a query
+ * @param {string|Array<string>} query - Words (string) or phrases (array) to match, see queryTerms()
+ * @param {number} limit - Result budget; results are paged PAGE_SIZE at a time up to this many
+ * @param {string} options.match - 'all' (every term in the description) or 'any' (at least one)
+ * @param {Array<string>} options.categoryGroups - Only companies in these category groups
+ * @param {AbortSignal} options.signal - Aborts the request (run cancelled)
+ * @param {string} options.foundedAfter - Only companies founded on/after this date (YYYY-MM-DD)
+ * @param {Array<string>} options.fundingTypes - Only companies whose last funding round is one of these
+ * @param {Array<string>} options.locations - Only companies headquartered in these locations (region's Crunchbase identifiers)
+ * @returns {Promise<Array>} - Normalized organizations (see normalizeOrganization())
+ */
+export async function searchOrganizations(query, limit = 10, {
+  match = 'all',
+  categoryGroups = [],
+  signal,
+  foundedAfter = DEFAULT_FOUNDED_AFTER,
+  fundingTypes = null,
+  locations = null,
+} = {}) {
+  if (!isCrunchbaseAvailable()) {
+    console.warn('CRUNCHBASE_API_KEY not set, skipping Crunchbase enrichment');
     return [];
   }
+
+  const terms = queryTerms(query);
+  if (terms.length === 0 && categoryGroups.length === 0) return [];
+
+  console.log(`[Crunchbase] Searching (${match}): "${terms.join('", "')}" with key: ${(CRUNCHBASE_API_KEY || 'replay').slice(0, 8)}...`);
+
+  const queries = buildOrganizationQueries({
+    all: match === 'all' ? terms : [],
+    any: match === 'any' ? terms : [],
+    categoryGroups,
+    foundedAfter,
+    fundingTypes,
+    locations,
+  });
+
+  return runOrganizationSearch(queries, limit, {
+    order: [{ field_id: 'rank_org', sort: 'asc' }],
+    signal,
+    label: `"${terms.join(' ')}"`,
+  });
 }
 
 /**
- * Fetch full details for multiple organizations by permalink
+ * Search by category/industry group
+ * @param {Array<string>} options.fundingTypes - Last funding rounds to include (the stage profile's funding_types)
+ * @param {Array<string>} options.locations - Only companies headquartered in these locations
+ * @returns {Promise<Array>} - Normalized organizations, best funded first
  */
-async function fetchOrganizationDetails(permalinks) {
-  const results = [];
-  
-  for (const permalink of permalinks.slice(0, 10)) {
-    try {
-      const response = await fetch(
-        `${BASE_URL}/entities/organizations/${permalink}?field_ids=identifier,short_description,founded_on,website_url,linkedin_url,twitter_url,num_employees_enum,funding_total,last_funding_type,last_funding_at,categories`,
-        {
-          headers: {
-            'X-cb-user-key': CRUNCHBASE_API_KEY,
-          },
-        }
-      );
+export async function searchByCategory(categoryGroup, limit = 10, {
+  signal,
+  foundedAfter = '2020-01-01',
+  fundingTypes = ['seed', 'pre_seed', 'angel', 'series_a'],
+  locations = null,
+} = {}) {
+  if (!isCrunchbaseAvailable()) return [];
+
+  console.log(`[Crunchbase] Searching category: "${categoryGroup}"`);
+
+  const queries = buildOrganizationQueries({ categoryGroups: [categoryGroup], foundedAfter, fundingTypes, locations });
+  return runOrganizationSearch(queries, limit, {
+    order: [{ field_id: 'funding_total', sort: 'desc' }],
+    signal,
+    label: `category "${categoryGroup}"`,
+  });
+}
+
+// Fields + cards for a full profile (enrichment cards for the analysis prompt)
+const PROFILE_FIELD_IDS = [
+  'identifier', 'short_description', 'founded_on', 'website_url', 'linkedin_url', 'twitter_url',
+  'num_employees_enum', 'funding_total', 'last_funding_type', 'last_funding_at', 'categories',
+  'category_groups', 'operating_status', 'location_identifiers', 'investor_identifiers',
+];
+const PROFILE_CARD_IDS = ['founders', 'raised_funding_rounds'];
+
+/**
+ * Fetch a full organization profile: the normalized organization plus founders, investors
+ * and funding round history (newest first)
+ * @param {string} permalink - Crunchbase organization permalink
+ * @param {AbortSignal} options.signal - Aborts the request (run cancelled)
+ * @returns {Promise<Object|null>} - null when Crunchbase is unavailable or the lookup fails
+ */
+export async function getOrganizationProfile(permalink, { signal } = {}) {
+  if (!isCrunchbaseAvailable()) {
+    return null;
+  }
 
-      if (response.ok) {
-        const data = await response.json();
-        results.push({ properties: data.properties });
+  try {
+    const params = new URLSearchParams({
+      field_ids: PROFILE_FIELD_IDS.join(','),
+      card_ids: PROFILE_CARD_IDS.join(','),
+    });
+    const response = await recordedFetch('crunchbase',
+      `${BASE_URL}/entities/organizations/${permalink}?${params}`,
+      {
+        headers: {
+          'X-cb-user-key': CRUNCHBASE_API_KEY,
+        },
+        signal,
       }
-    } catch (e) {
-      console.error(`Failed to fetch ${permalink}:`, e.message);
+    );
+
+    if (!response.ok) {
+      console.error(`[Crunchbase] Profile error for ${permalink} (${response.status})`);
+      return null;
     }
+
+    const data = await response.json();
+    const organization = normalizeOrganization(data);
+    if (!organization) return null;
+
+    const founders = (data.cards?.founders || []).map(person => ({
+      name: person.identifier?.value || [person.first_name, person.last_name].filter(Boolean).join(' '),
+      permalink: person.identifier?.permalink || null,
+      title: person.primary_job_title || null,
+      linkedin_url: person.linkedin?.value || null,
+    })).filter(f => f.name);
+
+    const fundingRounds = (data.cards?.raised_funding_rounds || []).map(round => ({
+      name: round.identifier?.value || null,
+      announced_on: round.announced_on || null,
+      investment_type: round.investment_type || null,
+      money_raised_usd: round.money_raised?.value_usd ?? null,
+      lead_investors: (round.lead_investor_identifiers || []).map(i => i.value).filter(Boolean),
+    })).sort((a, b) => (b.announced_on || '').localeCompare(a.announced_on || ''));
+
+    const leads = new Set(fundingRounds.flatMap(r => r.lead_investors));
+    const investors = (data.properties.investor_identifiers || []).map(investor => ({
+      name: investor.value,
+      permalink: investor.permalink || null,
+      lead: leads.has(investor.value),
+    })).filter(i => i.name);
+
+    return { ...organization, founders, investors, funding_rounds: fundingRounds };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error(`[Crunchbase] Profile fetch failed for ${permalink}:`, error.message);
+    return null;
   }
-  
-  return results;
 }
 
 /**
  * Get detailed organization info by permalink
+ * @returns {Promise<Object|null>} - Normalized organization (see normalizeOrganization())
  */
-export async function getOrganization(permalink) {
-  if (!CRUNCHBASE_API_KEY) {
+export async function getOrganization(permalink, { signal } = {}) {
+  if (!isCrunchbaseAvailable()) {
     return null;
   }
 
   try {
-    const response = await fetch(
-      `${BASE_URL}/entities/organizations/${permalink}?field_ids=identifier,short_description,founded_on,website_url,linkedin_url,twitter_url,num_employees_enum,funding_total,last_funding_type,last_funding_at,founder_identifiers,categories`,
+    const response = await recordedFetch('crunchbase',
+      `${BASE_URL}/entities/organizations/${permalink}?field_ids=identifier,short_description,founded_on,website_url,linkedin_url,twitter_url,num_employees_enum,funding_total,last_funding_type,last_funding_at,founder_identifiers,categories,location_identifiers`,
       {
         headers: {
           'X-cb-user-key': CRUNCHBASE_API_KEY,
         },
+        signal,
       }
     );
 
@@ -225,8 +382,9 @@ export async function getOrganization(permalink) {
     }
 
     const data = await response.json();
-    return data.properties || null;
+    return data.properties ? normalizeOrganization(data) : null;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Crunchbase get org failed:', error.message);
     return null;
   }
@@ -235,16 +393,18 @@ export async function getOrganization(permalink) {
 /**
  * Enrich a company object with Crunchbase data
  * @param {Object} company - Company object from Claude
- * @returns {Object} - Enriched company object
+ * @param {AbortSignal} options.signal - Aborts the lookup (run cancelled)
+ * @param {string} options.foundedAfter - Passed to searchOrganizations()
+ * @returns {Object} - Enriched company object (scores are computed later by lib/scoring.js)
  */
-export async function enrichCompany(company) {
-  if (!CRUNCHBASE_API_KEY) {
+export async function enrichCompany(company, { signal, foundedAfter } = {}) {
+  if (!isCrunchbaseAvailable()) {
     return company;
   }
 
   try {
-    // Search for the company
-    const results = await searchOrganizations(company.name, 3);
+    // Search for the company (any word of its name - the name check below picks the match)
+    const results = await searchOrganizations(company.name, 3, { match: 'any', signal, foundedAfter });
     
     if (!results.length) {
       console.log(`No Crunchbase match for: ${company.name}`);
@@ -257,8 +417,8 @@ export async function enrichCompany(company) {
     const contextKeywords = (company.search_context || company.description || '').toLowerCase();
     
     const match = results.find(r => {
-      const cbName = (r.properties?.identifier?.value || '').toLowerCase();
-      const cbDesc = (r.properties?.short_description || '').toLowerCase();
+      const cbName = r.name.toLowerCase();
+      const cbDesc = r.description.toLowerCase();
       
       // Name must match
       const nameMatches = cbName === companyNameLower || cbName.includes(companyNameLower);
@@ -285,49 +445,24 @@ export async function enrichCompany(company) {
       return { ...company, crunchbase_verified: false };
     }
 
-    const props = match.properties || {};
-    const identifier = props.identifier?.value || props.identifier?.permalink;
-
-    // Build Crunchbase URL
-    const crunchbaseUrl = identifier 
-      ? `https://www.crunchbase.com/organization/${identifier}`
-      : company.crunchbase_url;
-
-    // Extract founded year
-    let foundedYear = company.founded_year;
-    if (props.founded_on?.value) {
-      foundedYear = parseInt(props.founded_on.value.split('-')[0], 10);
-    }
-
-    // Calculate recency score based on real founding date
-    let recencyScore = company.recency;
-    if (foundedYear) {
-      const yearsOld = new Date().getFullYear() - foundedYear;
-      if (yearsOld <= 1) recencyScore = 10;
-      else if (yearsOld <= 2) recencyScore = 8;
-      else if (yearsOld <= 3) recencyScore = 6;
-      else if (yearsOld <= 5) recencyScore = 4;
-      else recencyScore = 2;
-    }
-
-    // Extract funding info for description enhancement
-    const fundingTotal = props.funding_total?.value_usd;
-    const lastFundingType = props.last_funding_type;
-
+    // Crunchbase's description replaces the search snippet, which often describes an article
+    // rather than the company
     return {
       ...company,
-      website: props.website_url?.value || company.website,
-      x_url: props.twitter_url?.value ? `https://x.com/${props.twitter_url.value.replace('@', '')}` : company.x_url,
-      crunchbase_url: crunchbaseUrl,
-      founded_year: foundedYear,
-      recency: recencyScore,
-      funding_total_usd: fundingTotal,
-      last_funding_type: lastFundingType,
+      description: match.description || company.description,
+      search_snippet: match.description ? company.description || null : company.search_snippet,
+      website: match.website || company.website,
+      x_url: match.x_url || company.x_url,
+      crunchbase_url: match.crunchbase_url,
+      founded_year: match.founded_year || company.founded_year,
+      funding_total_usd: match.funding_total_usd,
+      last_funding_type: match.last_funding_type,
+      last_funding_at: match.last_funding_at,
+      headquarters: match.headquarters || company.headquarters || null,
       crunchbase_verified: true,
-      // Recalculate total score
-      total_score: company.thesis_relevance + recencyScore + company.founding_team,
     };
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error(`Failed to enrich ${company.name}:`, error.message);
     return { ...company, crunchbase_verified: false };
   }
@@ -337,5 +472,5 @@ export async function enrichCompany(company) {
  * Check if Crunchbase API is available
  */
 export function isCrunchbaseAvailable() {
-  return !!CRUNCHBASE_API_KEY;
+  return !!CRUNCHBASE_API_KEY || isReplaying();
 }
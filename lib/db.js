@@ -54,9 +54,75 @@ export async function initDb() {
       finding TEXT NOT NULL,
       created_at TIMESTAMP DEFAULT NOW()
     )`,
+    `CREATE TABLE IF NOT EXISTS organizations (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      domain TEXT,
+      crunchbase_permalink TEXT,
+      description TEXT,
+      website TEXT,
+      crunchbase_url TEXT,
+      x_url TEXT,
+      founded_year INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS run_events (
+      id SERIAL PRIMARY KEY,
+      thesis_id INTEGER REFERENCES theses(id) ON DELETE CASCADE,
+      type VARCHAR(20) NOT NULL,
+      data JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS run_stages (
+      thesis_id INTEGER REFERENCES theses(id) ON DELETE CASCADE,
+      stage VARCHAR(50) NOT NULL,
+      output JSONB,
+      completed_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (thesis_id, stage)
+    )`,
+    `CREATE TABLE IF NOT EXISTS thesis_subscriptions (
+      id SERIAL PRIMARY KEY,
+      thesis_id INTEGER UNIQUE REFERENCES theses(id) ON DELETE CASCADE,
+      frequency VARCHAR(10) NOT NULL,
+      active BOOLEAN DEFAULT TRUE,
+      last_run_id INTEGER REFERENCES theses(id) ON DELETE SET NULL,
+      last_run_at TIMESTAMP,
+      next_run_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS thesis_alerts (
+      id SERIAL PRIMARY KEY,
+      subscription_id INTEGER REFERENCES thesis_subscriptions(id) ON DELETE CASCADE,
+      thesis_id INTEGER REFERENCES theses(id) ON DELETE CASCADE,
+      companies JSONB,
+      company_count INTEGER,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+    `CREATE TABLE IF NOT EXISTS run_candidates (
+      id SERIAL PRIMARY KEY,
+      thesis_id INTEGER REFERENCES theses(id) ON DELETE CASCADE,
+      stage VARCHAR(50) NOT NULL,
+      rejected BOOLEAN NOT NULL,
+      reason TEXT,
+      name TEXT NOT NULL,
+      website TEXT,
+      crunchbase_url TEXT,
+      discovery_source VARCHAR(50),
+      fit_score INTEGER,
+      relevance_score REAL,
+      data JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
     `CREATE INDEX IF NOT EXISTS idx_companies_thesis ON companies(thesis_id)`,
     `CREATE INDEX IF NOT EXISTS idx_findings_thesis ON findings(thesis_id)`,
-    `CREATE INDEX IF NOT EXISTS idx_theses_created ON theses(created_at DESC)`
+    `CREATE INDEX IF NOT EXISTS idx_theses_created ON theses(created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_run_events_thesis ON run_events(thesis_id, id)`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_domain ON organizations(domain) WHERE domain IS NOT NULL`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_permalink ON organizations(crunchbase_permalink) WHERE crunchbase_permalink IS NOT NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_subscriptions_due ON thesis_subscriptions(next_run_at) WHERE active`,
+    `CREATE INDEX IF NOT EXISTS idx_alerts_subscription ON thesis_alerts(subscription_id, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_run_candidates_thesis ON run_candidates(thesis_id, stage)`
   ];
   
   for (const stmt of statements) {
@@ -144,5 +210,180 @@ export async function initDb() {
     errors.push(`url_valid: ${e.message}`);
   }
   
+  // NEW: cancel_requested_at - set by /api/thesis/:id/cancel, polled by the running job
+  try {
+    await sql`ALTER TABLE theses ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMP`;
+    console.log('Migration: cancel_requested_at column OK');
+  } catch (e) {
+    console.error('Migration ERROR (cancel_requested_at):', e.message);
+    errors.push(`cancel_requested_at: ${e.message}`);
+  }
+  
+  // NEW: run lifecycle columns - heartbeat_at is refreshed by the running job, reaped when stale
+  try {
+    await sql`ALTER TABLE theses ADD COLUMN IF NOT EXISTS started_at TIMESTAMP`;
+    await sql`ALTER TABLE theses ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP`;
+    await sql`ALTER TABLE theses ADD COLUMN IF NOT EXISTS error_message TEXT`;
+    console.log('Migration: run lifecycle columns OK');
+  } catch (e) {
+    console.error('Migration ERROR (run lifecycle):', e.message);
+    errors.push(`run lifecycle: ${e.message}`);
+  }
+  
+  // NEW: run_attempts - worker passes a queued run has taken (see lib/worker.js)
+  try {
+    await sql`ALTER TABLE theses ADD COLUMN IF NOT EXISTS run_attempts INTEGER DEFAULT 0`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_theses_queued ON theses(id) WHERE status = 'queued'`;
+    console.log('Migration: run_attempts column OK');
+  } catch (e) {
+    console.error('Migration ERROR (run_attempts):', e.message);
+    errors.push(`run_attempts: ${e.message}`);
+  }
+  
+  // NEW: parent_id links a re-run to the run it was re-run from
+  try {
+    await sql`ALTER TABLE theses ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES theses(id) ON DELETE SET NULL`;
+    console.log('Migration: parent_id column OK');
+  } catch (e) {
+    console.error('Migration ERROR (parent_id):', e.message);
+    errors.push(`parent_id: ${e.message}`);
+  }
+  
+  // NEW: subscription_id marks theses created by scheduled monitoring
+  // (after the schema statements, so thesis_subscriptions exists)
+  try {
+    await sql`ALTER TABLE theses ADD COLUMN IF NOT EXISTS subscription_id INTEGER REFERENCES thesis_subscriptions(id) ON DELETE SET NULL`;
+    console.log('Migration: subscription_id column OK');
+  } catch (e) {
+    console.error('Migration ERROR (subscription_id):', e.message);
+    errors.push(`subscription_id: ${e.message}`);
+  }
+  
+  // NEW: organization_id links each per-thesis company row to its canonical organization
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_companies_organization ON companies(organization_id)`;
+    console.log('Migration: organization_id column OK');
+  } catch (e) {
+    console.error('Migration ERROR (organization_id):', e.message);
+    errors.push(`organization_id: ${e.message}`);
+  }
+  
+  // thesis_companies: the thesis <-> organization join. companies rows already carry the
+  // per-thesis scores and writeup, so the join is a view over them
+  try {
+    await sql`
+      CREATE OR REPLACE VIEW thesis_companies AS
+      SELECT
+        id AS company_id, thesis_id, organization_id,
+        thesis_relevance, recency, founding_team, total_score,
+        fit_type, writeup, created_at
+      FROM companies
+      WHERE organization_id IS NOT NULL
+    `;
+    console.log('Migration: thesis_companies view OK');
+  } catch (e) {
+    console.error('Migration ERROR (thesis_companies):', e.message);
+    errors.push(`thesis_companies: ${e.message}`);
+  }
+  
+  // NEW: config - the validated per-run pipeline config (see lib/config.js)
+  try {
+    await sql`ALTER TABLE theses ADD COLUMN IF NOT EXISTS config JSONB`;
+    console.log('Migration: config column OK');
+  } catch (e) {
+    console.error('Migration ERROR (config):', e.message);
+    errors.push(`config: ${e.message}`);
+  }
+  
+  // NEW: headquarters - "City, Region, Country" from Crunchbase (region filtering, see lib/regions.js)
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS headquarters VARCHAR(255)`;
+    console.log('Migration: headquarters column OK');
+  } catch (e) {
+    console.error('Migration ERROR (headquarters):', e.message);
+    errors.push(`headquarters: ${e.message}`);
+  }
+  
+  // NEW: discovery_source - which discovery channel found the company (primary_thesis, adjacent_theme, category)
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS discovery_source VARCHAR(50)`;
+    console.log('Migration: discovery_source column OK');
+  } catch (e) {
+    console.error('Migration ERROR (discovery_source):', e.message);
+    errors.push(`discovery_source: ${e.message}`);
+  }
+  
+  // NEW: Crunchbase profile - headcount, LinkedIn, founders, investors, funding round history
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS employee_range VARCHAR(50)`;
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS linkedin_url TEXT`;
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS founders JSONB`;
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS investors JSONB`;
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS funding_rounds JSONB`;
+    console.log('Migration: company profile columns OK');
+  } catch (e) {
+    console.error('Migration ERROR (company profile):', e.message);
+    errors.push(`company profile: ${e.message}`);
+  }
+  
+  // NEW: founding_team_evidence - founder research behind the founding_team score (see lib/founders.js)
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS founding_team_evidence JSONB`;
+    console.log('Migration: founding_team_evidence column OK');
+  } catch (e) {
+    console.error('Migration ERROR (founding_team_evidence):', e.message);
+    errors.push(`founding_team_evidence: ${e.message}`);
+  }
+  
+  // NEW: score_breakdown - per-dimension scores and weights behind total_score (see lib/scoring.js)
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS score_breakdown JSONB`;
+    console.log('Migration: score_breakdown column OK');
+  } catch (e) {
+    console.error('Migration ERROR (score_breakdown):', e.message);
+    errors.push(`score_breakdown: ${e.message}`);
+  }
+  
+  // NEW: relevance_score, matched_keywords - keyword filter results (see lib/relevance.js)
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS relevance_score REAL`;
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS matched_keywords JSONB`;
+    console.log('Migration: keyword relevance columns OK');
+  } catch (e) {
+    console.error('Migration ERROR (keyword relevance):', e.message);
+    errors.push(`keyword relevance: ${e.message}`);
+  }
+  
+  // NEW: manually_added - company promoted into a thesis by hand (POST /api/thesis/:id/promote)
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS manually_added BOOLEAN DEFAULT FALSE`;
+    console.log('Migration: manually_added column OK');
+  } catch (e) {
+    console.error('Migration ERROR (manually_added):', e.message);
+    errors.push(`manually_added: ${e.message}`);
+  }
+  
+  // NEW: promoted_at, company_id - rejected candidate promoted into the thesis (POST /api/thesis/:id/promote)
+  try {
+    await sql`ALTER TABLE run_candidates ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMP`;
+    await sql`ALTER TABLE run_candidates ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL`;
+    console.log('Migration: candidate promotion columns OK');
+  } catch (e) {
+    console.error('Migration ERROR (candidate promotion):', e.message);
+    errors.push(`candidate promotion: ${e.message}`);
+  }
+  
+  // NEW: url_status, url_final, url_checked_at - website check results (see lib/url-check.js)
+  try {
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS url_status VARCHAR(30)`;
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS url_final TEXT`;
+    await sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS url_checked_at TIMESTAMP`;
+    console.log('Migration: url check columns OK');
+  } catch (e) {
+    console.error('Migration ERROR (url check):', e.message);
+    errors.push(`url check: ${e.message}`);
+  }
+  
   return { errors };
 }
@@ -0,0 +1,93 @@
+import { getDb } from './db.js';
+import { createCheckpointStore } from './checkpoints.js';
+import { companyIdentity } from './organizations.js';
+import { findRejections } from './funnel.js';
+
+// Score columns compared between runs
+const SCORE_FIELDS = ['thesis_relevance', 'recency', 'founding_team', 'total_score'];
+
+// Stage checkpoints hold pre-save candidates (no organization yet), so they match on name
+const companyKey = (company) => company.name.toLowerCase().trim();
+
+/**
+ * Work out which pipeline stage of a run dropped a company: the run's recorded rejection
+ * (see lib/funnel.js), or for older runs, from the run's checkpoints
+ */
+function findRejectingStage(key, stages, rejections) {
+  if (rejections.has(key)) {
+    return rejections.get(key);
+  }
+  const inList = (list) => (list || []).some(c => companyKey(c) === key);
+
+  if (!stages.has('discovery')) {
+    return { stage: 'unknown', reason: 'Run has no saved pipeline stages' };
+  }
+  if (!inList(stages.get('discovery'))) {
+    return { stage: 'discovery', reason: 'Not found by Crunchbase or web search' };
+  }
+  if (stages.has('keyword_filter') && !inList(stages.get('keyword_filter'))) {
+    return { stage: 'keyword_filter', reason: 'Too few thesis keyword matches' };
+  }
+  if (stages.has('fit_filter') && !inList(stages.get('fit_filter'))) {
+    return { stage: 'fit_filter', reason: 'Scored below the fit threshold' };
+  }
+  if (stages.has('analysis') && !inList(stages.get('analysis').analyzed_companies)) {
+    return { stage: 'analysis', reason: 'Not in the analyzed set' };
+  }
+  return { stage: 'unknown', reason: 'Run did not finish' };
+}
+
+/**
+ * Diff a run against its parent run
+ * @param {Object} thesis - Row from the theses table (must have parent_id)
+ * @returns {Promise<Object>} - { new_companies, dropped_companies, score_changes }
+ */
+export async function diffRuns(thesis) {
+  const sql = getDb();
+
+  const [parentCompanies, companies, stages, rejections] = await Promise.all([
+    sql`SELECT * FROM companies WHERE thesis_id = ${thesis.parent_id} ORDER BY total_score DESC`,
+    sql`SELECT * FROM companies WHERE thesis_id = ${thesis.id} ORDER BY total_score DESC`,
+    createCheckpointStore(thesis.id).load(),
+    findRejections(thesis.id),
+  ]);
+
+  const previous = new Map(parentCompanies.map(c => [companyIdentity(c), c]));
+  const current = new Map(companies.map(c => [companyIdentity(c), c]));
+
+  const newCompanies = companies.filter(c => !previous.has(companyIdentity(c)));
+
+  const droppedCompanies = parentCompanies
+    .filter(c => !current.has(companyIdentity(c)))
+    .map(c => ({
+      ...c,
+      rejected_at: findRejectingStage(companyKey(c), stages, rejections),
+    }));
+
+  const scoreChanges = [];
+  for (const company of companies) {
+    const before = previous.get(companyIdentity(company));
+    if (!before) continue;
+
+    const changes = {};
+    for (const field of SCORE_FIELDS) {
+      if (before[field] !== company[field]) {
+        changes[field] = { before: before[field], after: company[field], delta: (company[field] || 0) - (before[field] || 0) };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      scoreChanges.push({ name: company.name, id: company.id, previous_id: before.id, changes });
+    }
+  }
+  scoreChanges.sort((a, b) => Math.abs(b.changes.total_score?.delta || 0) - Math.abs(a.changes.total_score?.delta || 0));
+
+  return {
+    thesis_id: thesis.id,
+    parent_id: thesis.parent_id,
+    status: thesis.status,
+    new_companies: newCompanies,
+    dropped_companies: droppedCompanies,
+    score_changes: scoreChanges,
+    unchanged: companies.length - newCompanies.length - scoreChanges.length,
+  };
+}
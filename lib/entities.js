@@ -0,0 +1,186 @@
+// Entity resolution for discovered companies
+// Turns raw search hits (Brave titles, Crunchbase rows) into one candidate per real company
+
+import { normalizeDomain, crunchbasePermalink } from './organizations.js';
+
+// Legal suffixes stripped from display names
+const LEGAL_SUFFIX = /[\s,]*(Inc\.?|LLC|Ltd\.?|Corp\.?|Corporation|Company|GmbH|S\.?A\.?S?|B\.?V\.?|PBC)\s*$/i;
+
+// Trailing words that don't distinguish a company ("Acme AI" is "Acme")
+const GENERIC_NAME_TOKENS = new Set([
+  'ai', 'labs', 'lab', 'hq', 'inc', 'llc', 'ltd', 'corp', 'co', 'company',
+  'technologies', 'technology', 'tech', 'app', 'io', 'software', 'platform',
+]);
+
+// Title prefixes that are never part of the company name
+const TITLE_PREFIX = /^(show|launch|ask)\s+hn\s*[:\-–]\s*|^(introducing|meet|announcing)\s+/i;
+
+// Title segments that are page names, not company names
+const GENERIC_TITLE_SEGMENTS = new Set([
+  'home', 'homepage', 'about', 'about us', 'blog', 'news', 'startups', 'portfolio',
+  'companies', 'company', 'welcome', 'careers', 'jobs', 'pricing', 'overview',
+  'show hn', 'launch hn', 'ask hn', 'linkedin', 'x', 'twitter', 'y combinator',
+]);
+
+// Words that mark a segment as a headline / sentence rather than a name
+const HEADLINE_WORDS = /\b(how|why|what|when|best|top|guide|raises|raised|announces|launches|the future|list of|vs\.?)\b/i;
+
+/**
+ * Clean a display name: strip legal suffixes and stray punctuation
+ */
+export function cleanCompanyName(name) {
+  return (name || '')
+    .replace(LEGAL_SUFFIX, '')
+    .replace(/^[\s"'“”‘’]+|[\s"'“”‘’.,;:!?]+$/g, '')
+    .trim();
+}
+
+/**
+ * Normalized key for alias matching ("Acme AI, Inc." -> "acme")
+ */
+export function nameKey(name) {
+  const tokens = cleanCompanyName(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  // Drop generic trailing tokens, but never the whole name
+  while (tokens.length > 1 && GENERIC_NAME_TOKENS.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+  return tokens.join(' ');
+}
+
+/**
+ * Does a name look like a real company name (not a headline or page title)?
+ */
+export function isPlausibleCompanyName(name) {
+  if (!name || name.length < 2 || name.length > 50) return false;
+  if (GENERIC_TITLE_SEGMENTS.has(name.toLowerCase())) return false;
+  if (name.split(/\s+/).length > 5) return false;
+  if (/^\d/.test(name)) return false; // "10 startups to watch"
+  return !HEADLINE_WORDS.test(name);
+}
+
+/**
+ * Root label of a domain ("app.acme-robotics.com" -> "acmerobotics")
+ */
+function domainLabel(domain) {
+  const parts = domain.split('.');
+  const root = parts.length > 2 ? parts[parts.length - 2] : parts[0];
+  return root.replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Does this domain belong to the named company (name and domain label agree)?
+ */
+function domainMatchesName(domain, name) {
+  if (!domain) return false;
+  const label = domainLabel(domain);
+  const compact = nameKey(name).replace(/\s+/g, '');
+  return compact.length > 2 && (label === compact || label.startsWith(compact) || compact.startsWith(label));
+}
+
+/**
+ * Extract a company name (and its own domain, if the page is the company's site) from a web result
+ * @param {Object} result - Brave result ({ title, url, domain })
+ * @returns {Object|null} - { name, domain } or null when the title doesn't name a company
+ */
+export function extractCompanyFromResult(result) {
+  const domain = result.domain || normalizeDomain(result.url);
+  const title = (result.title || '').replace(TITLE_PREFIX, '');
+  const segments = title
+    .split(/\s+[-–—|·:]\s+|:\s+|\s+[|·]\s*/)
+    .map(cleanCompanyName)
+    .filter(isPlausibleCompanyName);
+
+  if (segments.length === 0) return null;
+
+  // "Home | Acme AI" on acme.ai -> prefer the segment that matches the site's domain
+  const ownSite = segments.find(s => domainMatchesName(domain, s));
+  if (ownSite) {
+    return { name: ownSite, domain };
+  }
+  return { name: segments[0], domain: null };
+}
+
+/**
+ * Identifiers a candidate can be resolved on
+ */
+function identifiersOf(company) {
+  return {
+    domain: normalizeDomain(company.website),
+    permalink: company.crunchbase_permalink || crunchbasePermalink(company.crunchbase_url) || null,
+    key: nameKey(company.name),
+  };
+}
+
+/**
+ * Merge two candidates for the same company, preferring Crunchbase-verified fields
+ */
+function mergeCandidates(primary, secondary) {
+  const [base, other] = (secondary.crunchbase_verified && !primary.crunchbase_verified)
+    ? [secondary, primary]
+    : [primary, secondary];
+
+  const sources = [...(base.sources || [])];
+  for (const source of other.sources || []) {
+    if (!sources.some(s => s.url === source.url)) {
+      sources.push(source);
+    }
+  }
+
+  const aliases = new Set([...(base.aliases || [base.name]), ...(other.aliases || [other.name])]);
+
+  const merged = { ...other, ...base };
+  for (const [field, value] of Object.entries(other)) {
+    if (merged[field] === null || merged[field] === undefined || merged[field] === '') {
+      merged[field] = value;
+    }
+  }
+
+  return {
+    ...merged,
+    // Crunchbase descriptions win; otherwise keep the richer one
+    description: base.crunchbase_verified || (base.description || '').length >= (other.description || '').length
+      ? base.description
+      : other.description,
+    needs_enrichment: base.needs_enrichment && other.needs_enrichment,
+    aliases: [...aliases],
+    sources,
+  };
+}
+
+/**
+ * Resolve candidates into one entry per real company
+ * Candidates merge when they share a website domain or Crunchbase permalink, or when their
+ * normalized names match ("Acme AI" / "Acme Inc") and no identifiers conflict
+ * @param {Array} candidates - Raw candidates from all discovery sources
+ * @returns {Array} - Resolved companies (sources and aliases merged)
+ */
+export function resolveEntities(candidates) {
+  const clusters = [];
+
+  for (const candidate of candidates) {
+    const ids = identifiersOf(candidate);
+
+    const match = clusters.find(cluster => {
+      const other = identifiersOf(cluster);
+      if (ids.domain && ids.domain === other.domain) return true;
+      if (ids.permalink && ids.permalink === other.permalink) return true;
+      if (!ids.key || ids.key !== other.key) return false;
+      // Same name but different companies (e.g. two Crunchbase entries) - keep apart
+      const domainConflict = ids.domain && other.domain && ids.domain !== other.domain;
+      const permalinkConflict = ids.permalink && other.permalink && ids.permalink !== other.permalink;
+      return !domainConflict && !permalinkConflict;
+    });
+
+    if (match) {
+      clusters[clusters.indexOf(match)] = mergeCandidates(match, candidate);
+    } else {
+      clusters.push({ ...candidate, aliases: candidate.aliases || [candidate.name] });
+    }
+  }
+
+  return clusters;
+}
@@ -0,0 +1,189 @@
+// Founder research
+// Scores a company's founding team from evidence instead of a default: founders come from the
+// Crunchbase profile (or are identified from web results), targeted Brave searches look them up
+// on LinkedIn, X and personal/press sites, and Claude extracts prior companies, exits and domain
+// experience - citing the numbered evidence - and scores the team
+
+import { callStructured } from './structured.js';
+import { searchWeb, isWebSearchAvailable } from './websearch.js';
+
+// Founders researched per company (the rest are listed but not searched)
+const MAX_FOUNDERS = 3;
+
+// Evidence items shown to the model per company
+const MAX_EVIDENCE = 15;
+
+const FOUNDING_TEAM_PROMPT = `You are a seed-stage VC partner doing founder diligence. Using ONLY the numbered evidence below, identify the company's founders and assess the founding team.
+
+For each founder extract:
+- prior_companies: Companies they worked at or founded before this one
+- exits: Prior companies they founded or led that were acquired or went public
+- domain_experience: One sentence on their experience in this company's domain
+- sources: The evidence numbers that support what you wrote about them
+
+Then score the founding team (1-10):
+- 9-10: Repeat founder with a prior exit, or deep domain expertise plus prior startup success
+- 7-8: Strong domain experience (senior roles at relevant companies) or a prior startup
+- 5-6: Some relevant experience, or the evidence is thin
+- 3-4: Little relevant experience
+- 1-2: Evidence of a clear mismatch with the problem
+
+RULES:
+- Never use facts that aren't in the evidence - if it's too thin to judge the team, set evidence_sufficient to false, score 5 and say so
+- Ignore people in the evidence who aren't founders of THIS company (same-name people, investors, employees)
+- Every founder must cite at least one evidence number
+
+Call the record_founding_team tool.`;
+
+const FOUNDING_TEAM_TOOL = {
+  name: 'record_founding_team',
+  description: 'Record the founders and the founding team score, citing evidence numbers',
+  input_schema: {
+    type: 'object',
+    properties: {
+      founders: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            role: { type: 'string' },
+            prior_companies: { type: 'array', items: { type: 'string' } },
+            exits: { type: 'array', items: { type: 'string' } },
+            domain_experience: { type: 'string' },
+            sources: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1 },
+          },
+          required: ['name', 'prior_companies', 'exits', 'domain_experience', 'sources'],
+        },
+      },
+      founding_team: { type: 'integer', minimum: 1, maximum: 10 },
+      evidence_sufficient: { type: 'boolean' },
+      rationale: { type: 'string' },
+    },
+    required: ['founders', 'founding_team', 'evidence_sufficient', 'rationale'],
+  },
+};
+
+/**
+ * Targeted searches for one founder: LinkedIn profile, X account, personal site / press
+ */
+function founderQueries(founder, companyName) {
+  return [
+    `"${founder}" "${companyName}" site:linkedin.com/in`,
+    `"${founder}" site:x.com OR site:twitter.com`,
+    `"${founder}" "${companyName}" founder background -site:linkedin.com`,
+  ];
+}
+
+/**
+ * Searches that identify founders when the profile has none
+ */
+function identifyQueries(companyName) {
+  return [
+    `"${companyName}" founder OR co-founder OR CEO`,
+    `"${companyName}" co-founder site:linkedin.com/in`,
+  ];
+}
+
+/**
+ * Collect numbered evidence for a company's founders
+ * @returns {Promise<Array>} - [{ title, url, snippet }], Crunchbase profile first when known
+ */
+async function gatherEvidence(company, { signal } = {}) {
+  const evidence = [];
+  const seen = new Set();
+  const add = (item) => {
+    if (item.url && !seen.has(item.url) && evidence.length < MAX_EVIDENCE) {
+      seen.add(item.url);
+      evidence.push(item);
+    }
+  };
+
+  const knownFounders = (company.founders || []).slice(0, MAX_FOUNDERS);
+  if (knownFounders.length > 0 && company.crunchbase_url) {
+    add({
+      title: `${company.name} - Crunchbase profile`,
+      url: company.crunchbase_url,
+      snippet: `Founders: ${knownFounders.map(f => f.title ? `${f.name} (${f.title})` : f.name).join(', ')}`,
+    });
+  }
+
+  if (!isWebSearchAvailable()) return evidence;
+
+  const queries = knownFounders.length > 0
+    ? knownFounders.flatMap(f => founderQueries(f.name, company.name))
+    : identifyQueries(company.name);
+
+  for (const query of queries) {
+    signal?.throwIfAborted();
+    // Career history is old news - search any time, not just the past year
+    for (const result of await searchWeb(query, 3, { signal, freshness: null })) {
+      add({ title: result.title, url: result.url, snippet: result.description || '' });
+    }
+  }
+  return evidence;
+}
+
+/**
+ * The researched founding team score, or null when the research found too little to go on
+ * (its score is then the prompt's default 5, not a judgement)
+ * Evidence saved before evidence_count existed counts as researched
+ */
+export function researchedTeamScore(evidence) {
+  if (!evidence || evidence.evidence_sufficient === false || evidence.evidence_count === 0) return null;
+  return Number.isFinite(evidence.score) ? evidence.score : null;
+}
+
+/**
+ * Research a company's founders and score the team from evidence
+ * @param {Object} company - Profiled company ({ name, description, founders, crunchbase_url, ... })
+ * @param {AbortSignal} options.signal - Aborts searches and the Claude call (run cancelled)
+ * @returns {Promise<Object|null>} - founding_team_evidence ({ score, evidence_sufficient, evidence_count,
+ *   rationale, founders, sources }), or null when there's no evidence to score
+ */
+export async function researchFounders(company, { signal } = {}) {
+  const evidence = await gatherEvidence(company, { signal });
+  if (evidence.length === 0) return null;
+
+  const evidenceList = evidence
+    .map((e, i) => `[${i + 1}] ${e.title}\n    ${e.url}\n    ${e.snippet.slice(0, 300)}`)
+    .join('\n');
+
+  const result = await callStructured({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 2048,
+    prompt: `${FOUNDING_TEAM_PROMPT}
+
+COMPANY: ${company.name}
+DESCRIPTION: ${company.description || '(not available)'}
+
+EVIDENCE:
+${evidenceList}`,
+    tool: FOUNDING_TEAM_TOOL,
+    validate: ({ founders }) => founders.flatMap((founder, i) => founder.sources
+      .filter(n => n > evidence.length)
+      .map(n => `$.founders[${i}].sources cites [${n}] but there are only ${evidence.length} evidence items`)),
+  }, { signal });
+
+  const cite = (n) => ({ title: evidence[n - 1].title, url: evidence[n - 1].url });
+  const founders = result.founders.map(f => ({
+    name: f.name,
+    role: f.role || null,
+    prior_companies: f.prior_companies,
+    exits: f.exits,
+    domain_experience: f.domain_experience,
+    sources: [...new Set(f.sources)].map(cite),
+  }));
+
+  // Evidence items the founders actually cite - none means nothing was found about them
+  const evidenceCount = new Set(result.founders.flatMap(f => f.sources)).size;
+
+  return {
+    score: result.founding_team,
+    evidence_sufficient: result.evidence_sufficient && evidenceCount > 0,
+    evidence_count: evidenceCount,
+    rationale: result.rationale,
+    founders,
+    sources: evidence.map(({ title, url }) => ({ title, url })),
+  };
+}
@@ -0,0 +1,113 @@
+// Run funnel audit
+// Every candidate a run discovers is stored in run_candidates: the ones a stage dropped with that
+// stage and the reason, and the ones that made it to analysis - so false negatives can be found
+// and thresholds tuned
+
+import { getDb } from './db.js';
+
+// Stages that drop candidates, in pipeline order; 'analysis' holds the candidates that got through
+export const FUNNEL_STAGES = ['discovery', 'enrichment', 'keyword_filter', 'fit_filter', 'profiles', 'analysis'];
+
+/**
+ * Store the candidates a stage rejected (or, for 'analysis', the ones that passed)
+ * Replaces the stage's earlier rows, so a resumed run can report its stages again
+ * @param {number} thesisId
+ * @param {string} stage - One of FUNNEL_STAGES
+ * @param {Array} candidates - Pipeline candidates; rejected ones carry rejection_reason
+ */
+export async function saveCandidates(thesisId, stage, candidates) {
+  const sql = getDb();
+  const rows = (candidates || []).map(c => ({
+    name: c.name,
+    reason: c.rejection_reason || null,
+    website: c.website || null,
+    crunchbase_url: c.crunchbase_url || null,
+    discovery_source: c.discovery_source || null,
+    fit_score: c.fit_score ?? null,
+    relevance_score: c.relevance_score ?? null,
+    data: c,
+  }));
+
+  await sql`DELETE FROM run_candidates WHERE thesis_id = ${thesisId} AND stage = ${stage}`;
+  if (rows.length === 0) return;
+
+  // One statement for the whole stage - discovery can drop hundreds of candidates
+  await sql`
+    INSERT INTO run_candidates (
+      thesis_id, stage, rejected, reason, name, website, crunchbase_url,
+      discovery_source, fit_score, relevance_score, data
+    )
+    SELECT
+      ${thesisId}, ${stage}, ${stage !== 'analysis'},
+      r->>'reason', r->>'name', r->>'website', r->>'crunchbase_url', r->>'discovery_source',
+      (r->>'fit_score')::int, (r->>'relevance_score')::real, r->'data'
+    FROM jsonb_array_elements(${JSON.stringify(rows)}::jsonb) AS r
+  `;
+}
+
+/**
+ * Funnel for a run: candidates entering / rejected at / passing each stage, and the rejected list
+ * Nearest misses come first (latest stage, then highest fit and relevance scores)
+ * Promoted candidates still count as rejected by their stage, but are listed under promoted
+ * @param {number} thesisId
+ * @param {Object} options.stage - Only list candidates rejected at this stage
+ * @returns {Promise<Object>} - { total_candidates, analyzed, stages, rejected, promoted }
+ */
+export async function getFunnel(thesisId, { stage = null } = {}) {
+  const sql = getDb();
+  const rows = await sql`
+    SELECT id, stage, rejected, reason, name, website, crunchbase_url, discovery_source,
+      fit_score, relevance_score, data->>'description' AS description, created_at,
+      promoted_at, company_id
+    FROM run_candidates
+    WHERE thesis_id = ${thesisId}
+  `;
+
+  let entered = rows.length;
+  const stages = FUNNEL_STAGES.filter(s => s !== 'analysis').map(name => {
+    const rejected = rows.filter(r => r.stage === name).length;
+    const counts = { stage: name, entered, rejected, passed: entered - rejected };
+    entered -= rejected;
+    return counts;
+  });
+
+  const order = (row) => FUNNEL_STAGES.indexOf(row.stage);
+  const listed = rows
+    .filter(r => r.rejected && (!stage || r.stage === stage))
+    .sort((a, b) => order(b) - order(a)
+      || (b.fit_score ?? 0) - (a.fit_score ?? 0)
+      || (b.relevance_score ?? 0) - (a.relevance_score ?? 0));
+
+  return {
+    total_candidates: rows.length,
+    analyzed: rows.filter(r => r.stage === 'analysis').length,
+    stages,
+    rejected: listed.filter(r => !r.promoted_at),
+    promoted: listed.filter(r => r.promoted_at),
+  };
+}
+
+/**
+ * Rejections recorded for a run, keyed by lowercased candidate name
+ * (empty for runs from before the funnel audit)
+ */
+export async function findRejections(thesisId) {
+  const sql = getDb();
+  const rows = await sql`
+    SELECT name, stage, reason FROM run_candidates
+    WHERE thesis_id = ${thesisId} AND rejected AND promoted_at IS NULL
+  `;
+  return new Map(rows.map(r => [r.name.toLowerCase().trim(), { stage: r.stage, reason: r.reason }]));
+}
+
+/**
+ * Mark a run's rejected candidate as promoted into its companies (by name, so a company
+ * entered by hand that a stage had dropped is marked too)
+ */
+export async function markPromoted(thesisId, name, companyId) {
+  const sql = getDb();
+  await sql`
+    UPDATE run_candidates SET promoted_at = NOW(), company_id = ${companyId}
+    WHERE thesis_id = ${thesisId} AND rejected AND LOWER(name) = LOWER(${name})
+  `;
+}
@@ -0,0 +1,152 @@
+import { getDb } from './db.js';
+import { companyIdentity } from './organizations.js';
+import { runConfigOf } from './config.js';
+
+// Days between scheduled runs for each subscription frequency
+export const FREQUENCIES = {
+  daily: 1,
+  weekly: 7,
+};
+
+/**
+ * Companies already surfaced for a subscription: the subscribed run plus every
+ * earlier complete scheduled run, excluding the run being checked
+ * A failed or cancelled run raised no alert, so what it saved doesn't count as seen
+ */
+async function loadSeenCompanyKeys(subscription, excludeThesisId) {
+  const sql = getDb();
+  const rows = await sql`
+    SELECT c.name, c.organization_id FROM companies c
+    JOIN theses t ON t.id = c.thesis_id
+    WHERE (t.id = ${subscription.thesis_id} OR t.subscription_id = ${subscription.id})
+      AND t.id != ${excludeThesisId}
+      AND t.status = 'complete'
+  `;
+  return new Set(rows.map(companyIdentity));
+}
+
+/**
+ * Claim subscriptions that are due by pushing their next_run_at forward first,
+ * so overlapping cron invocations never run the same subscription twice
+ */
+async function claimDueSubscriptions(limit) {
+  const sql = getDb();
+  return sql`
+    UPDATE thesis_subscriptions SET
+      next_run_at = NOW() + (CASE frequency WHEN 'weekly' THEN ${FREQUENCIES.weekly}::int ELSE ${FREQUENCIES.daily}::int END * INTERVAL '1 day')
+    WHERE id IN (
+      SELECT id FROM thesis_subscriptions
+      WHERE active = TRUE AND next_run_at <= NOW()
+      ORDER BY next_run_at ASC
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+}
+
+/**
+ * Queue one subscription's run: a re-run of the thesis as a child of its last complete run
+ * The worker executes it and calls finishScheduledRun() once it ends
+ */
+async function queueSubscriptionRun(subscription) {
+  const sql = getDb();
+
+  const [root] = await sql`SELECT thesis, config FROM theses WHERE id = ${subscription.thesis_id}`;
+  const parentId = subscription.last_run_id || subscription.thesis_id;
+
+  const [run] = await sql`
+    INSERT INTO theses (thesis, status, parent_id, subscription_id, config)
+    VALUES (${root.thesis}, 'queued', ${parentId}, ${subscription.id}, ${JSON.stringify(runConfigOf(root))}::jsonb)
+    RETURNING *
+  `;
+
+  return {
+    subscription_id: subscription.id,
+    thesis_id: run.id,
+    status: run.status,
+  };
+}
+
+/**
+ * Record an alert for the companies of a finished scheduled run that no earlier run of the
+ * subscription surfaced (called by the worker once the run ends)
+ * Only a complete run moves last_run_id forward - a failed or cancelled one is reported
+ * and the next scheduled run still diffs against the last complete one
+ * @param {Object} run - Thesis row of the scheduled run
+ */
+export async function finishScheduledRun(run) {
+  const sql = getDb();
+
+  const [subscription] = await sql`SELECT * FROM thesis_subscriptions WHERE id = ${run.subscription_id}`;
+  if (!subscription) return null;
+
+  const companies = await sql`SELECT * FROM companies WHERE thesis_id = ${run.id}`;
+
+  // A partial company set must neither become the next baseline nor raise alerts
+  if (run.status !== 'complete') {
+    return {
+      subscription_id: subscription.id,
+      thesis_id: run.id,
+      status: run.status,
+      company_count: companies.length,
+      new_company_count: 0,
+      alert_id: null,
+    };
+  }
+
+  const seen = await loadSeenCompanyKeys(subscription, run.id);
+  const newCompanies = companies.filter(c => !seen.has(companyIdentity(c)));
+
+  await sql`
+    UPDATE thesis_subscriptions SET last_run_id = ${run.id}, last_run_at = NOW()
+    WHERE id = ${subscription.id}
+  `;
+
+  let alert = null;
+  if (newCompanies.length > 0) {
+    [alert] = await sql`
+      INSERT INTO thesis_alerts (subscription_id, thesis_id, companies, company_count)
+      VALUES (
+        ${subscription.id},
+        ${run.id},
+        ${JSON.stringify(newCompanies.map(c => ({
+          id: c.id,
+          organization_id: c.organization_id,
+          name: c.name,
+          description: c.description,
+          website: c.website,
+          total_score: c.total_score,
+        })))}::jsonb,
+        ${newCompanies.length}
+      )
+      RETURNING *
+    `;
+  }
+
+  return {
+    subscription_id: subscription.id,
+    thesis_id: run.id,
+    status: run.status,
+    company_count: companies.length,
+    new_company_count: newCompanies.length,
+    alert_id: alert?.id || null,
+  };
+}
+
+/**
+ * Queue a run for every due subscription (up to limit)
+ */
+export async function runDueSubscriptions(limit = 5) {
+  const due = await claimDueSubscriptions(limit);
+  const results = [];
+  for (const subscription of due) {
+    try {
+      results.push(await queueSubscriptionRun(subscription));
+    } catch (error) {
+      console.error(`Scheduled run failed for subscription ${subscription.id}:`, error.message);
+      results.push({ subscription_id: subscription.id, error: error.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,133 @@
+import { getDb } from './db.js';
+
+/**
+ * Normalize a website URL to a bare domain ("https://www.Acme.ai/about" -> "acme.ai")
+ */
+export function normalizeDomain(url) {
+  if (!url || typeof url !== 'string') return null;
+  try {
+    const withProtocol = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    const hostname = new URL(withProtocol).hostname.toLowerCase().replace(/^www\./, '');
+    return hostname.includes('.') ? hostname : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Extract the Crunchbase permalink from an organization URL
+ */
+export function crunchbasePermalink(url) {
+  if (!url || typeof url !== 'string') return null;
+  const match = url.match(/crunchbase\.com\/organization\/([^/?#]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Key identifying the same company across theses: its organization when linked, else its name
+ */
+export function companyIdentity(company) {
+  return company.organization_id
+    ? `org:${company.organization_id}`
+    : `name:${company.name.toLowerCase().trim()}`;
+}
+
+/**
+ * Find or create the canonical organization for a company
+ * Matched on website domain or Crunchbase permalink; companies with neither fall back
+ * to an exact name match against organizations that also have neither
+ * @returns {Promise<Object>} - Organization row
+ */
+export async function upsertOrganization(company) {
+  const sql = getDb();
+  const domain = normalizeDomain(company.website);
+  const permalink = crunchbasePermalink(company.crunchbase_url);
+
+  const findExisting = async () => {
+    if (domain || permalink) {
+      const rows = await sql`
+        SELECT * FROM organizations
+        WHERE domain = ${domain} OR crunchbase_permalink = ${permalink}
+        ORDER BY id ASC
+        LIMIT 1
+      `;
+      return rows[0];
+    }
+    const rows = await sql`
+      SELECT * FROM organizations
+      WHERE LOWER(name) = ${company.name.toLowerCase().trim()}
+        AND domain IS NULL AND crunchbase_permalink IS NULL
+      ORDER BY id ASC
+      LIMIT 1
+    `;
+    return rows[0];
+  };
+
+  const existing = await findExisting();
+  if (existing) {
+    // Fill in identifiers/details the organization didn't have yet
+    try {
+      const [updated] = await sql`
+        UPDATE organizations SET
+          domain = COALESCE(domain, ${domain}),
+          crunchbase_permalink = COALESCE(crunchbase_permalink, ${permalink}),
+          website = COALESCE(website, ${company.website || null}),
+          crunchbase_url = COALESCE(crunchbase_url, ${company.crunchbase_url || null}),
+          x_url = COALESCE(x_url, ${company.x_url || null}),
+          description = COALESCE(NULLIF(description, ''), ${company.description || null}),
+          founded_year = COALESCE(founded_year, ${company.founded_year || null}),
+          updated_at = NOW()
+        WHERE id = ${existing.id}
+        RETURNING *
+      `;
+      return updated;
+    } catch (e) {
+      // Another organization already owns the domain/permalink - keep the match as is
+      console.warn(`Organization ${existing.id} not updated:`, e.message);
+      return existing;
+    }
+  }
+
+  const [created] = await sql`
+    INSERT INTO organizations (
+      name, domain, crunchbase_permalink, description,
+      website, crunchbase_url, x_url, founded_year
+    )
+    VALUES (
+      ${company.name},
+      ${domain},
+      ${permalink},
+      ${company.description || null},
+      ${company.website || null},
+      ${company.crunchbase_url || null},
+      ${company.x_url || null},
+      ${company.founded_year || null}
+    )
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `;
+
+  // Lost a race with a concurrent insert of the same domain/permalink
+  return created || findExisting();
+}
+
+/**
+ * Link existing companies rows (saved before organizations existed) to organizations
+ * @returns {Promise<number>} - Number of companies linked
+ */
+export async function backfillOrganizations(limit = 500) {
+  const sql = getDb();
+  const companies = await sql`
+    SELECT id, name, description, website, crunchbase_url, x_url, founded_year
+    FROM companies
+    WHERE organization_id IS NULL
+    ORDER BY id ASC
+    LIMIT ${limit}
+  `;
+
+  for (const company of companies) {
+    const organization = await upsertOrganization(company);
+    await sql`UPDATE companies SET organization_id = ${organization.id} WHERE id = ${company.id}`;
+  }
+  return companies.length;
+}
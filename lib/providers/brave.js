@@ -0,0 +1,53 @@
+// Brave web search discovery provider
+// Adapts lib/websearch.js to the provider interface (see ./index.js)
+
+import { searchStartups, isWebSearchAvailable } from '../websearch.js';
+import { extractCompanyFromResult } from '../entities.js';
+
+/**
+ * Brave search result -> discovery candidate (titles are often headlines - skip those)
+ */
+function toCandidate(result) {
+  const extracted = extractCompanyFromResult(result);
+  if (!extracted) return null;
+  return {
+    name: extracted.name,
+    source: 'web',
+    description: result.description || '',
+    // Only the company's own site counts as its website - never the article URL
+    website: extracted.domain ? `https://${extracted.domain}` : null,
+    crunchbase_verified: false,
+    sources: [{ type: 'web', url: result.url, label: 'Web Search' }],
+    needs_enrichment: true, // Flag for Crunchbase lookup
+  };
+}
+
+async function search(query, limit, { signal, region }) {
+  const results = await searchStartups(query, limit, { signal, locales: region?.brave });
+  return results.map(toCandidate).filter(Boolean);
+}
+
+export const braveProvider = {
+  name: 'brave',
+  label: 'web sources',
+
+  isAvailable: isWebSearchAvailable,
+
+  // searchStartups() already fans out over ~30 source-specific queries, so one combined search
+  planKeywordSearches(searchTerms) {
+    return [{ query: (searchTerms.primary_keywords || []).join(' '), limit: 10 }];
+  },
+
+  searchByKeyword(query, { limit = 10, ...options } = {}) {
+    return search(query + ' startup', limit, options);
+  },
+
+  searchByTheme(theme, { limit = 8, ...options } = {}) {
+    return search(theme + ' startup company', limit, options);
+  },
+
+  // Web search has no category index, entity lookup or profiles
+  searchByCategory: null,
+  enrichByName: null,
+  fetchProfile: null,
+};
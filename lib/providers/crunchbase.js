@@ -0,0 +1,83 @@
+// Crunchbase discovery provider
+// Adapts lib/crunchbase.js search + enrichment to the provider interface (see ./index.js)
+
+import { searchOrganizations, searchByCategory, getOrganizationProfile, enrichCompany, isCrunchbaseAvailable } from '../crunchbase.js';
+import { cleanCompanyName } from '../entities.js';
+import { crunchbasePermalink } from '../organizations.js';
+
+/**
+ * Normalized Crunchbase organization -> discovery candidate
+ */
+function toCandidate(org) {
+  return {
+    name: cleanCompanyName(org.name) || org.name,
+    source: 'crunchbase',
+    description: org.description,
+    website: org.website || '',
+    crunchbase_url: org.crunchbase_url,
+    founded_year: org.founded_year,
+    funding_total_usd: org.funding_total_usd,
+    last_funding_type: org.last_funding_type,
+    last_funding_at: org.last_funding_at,
+    operating_status: org.operating_status,
+    headquarters: org.headquarters,
+    crunchbase_verified: true,
+    crunchbase_data: org,
+    sources: [{ type: 'crunchbase', url: org.crunchbase_url, label: 'Crunchbase' }],
+  };
+}
+
+async function search(query, { limit, match, signal, foundedAfter, fundingTypes, region }) {
+  const results = await searchOrganizations(query, limit, { match, signal, foundedAfter, fundingTypes, locations: region?.locations });
+  return results.map(toCandidate);
+}
+
+export const crunchbaseProvider = {
+  name: 'crunchbase',
+  label: 'Crunchbase',
+
+  isAvailable: isCrunchbaseAvailable,
+
+  // One search for any primary keyword (EXTENDED: 5, as phrases) within the result budget
+  // (config.crunchbase_budget), plus each search query with all of its words (config.max_queries)
+  planKeywordSearches(searchTerms, { maxQueries = 6, budget = 25 } = {}) {
+    const keywords = (searchTerms.primary_keywords || []).slice(0, 5);
+    return [
+      ...(keywords.length > 0 ? [{ query: keywords, match: 'any', limit: budget }] : []),
+      ...(searchTerms.search_queries || []).slice(0, maxQueries).map(query => ({ query, match: 'all', limit: Math.min(budget, 10) })),
+    ];
+  },
+
+  searchByKeyword(query, { limit = 8, match = 'all', ...options } = {}) {
+    return search(query, { limit, match, ...options });
+  },
+
+  searchByTheme(theme, { limit = 5, ...options } = {}) {
+    return search(theme, { limit, match: 'all', ...options });
+  },
+
+  async searchByCategory(categoryGroup, { limit = 8, signal, foundedAfter, fundingTypes, region } = {}) {
+    const results = await searchByCategory(categoryGroup, limit, { signal, foundedAfter, fundingTypes, locations: region?.locations });
+    return results.map(toCandidate);
+  },
+
+  enrichByName(company, { signal, foundedAfter } = {}) {
+    return enrichCompany(company, { signal, foundedAfter });
+  },
+
+  async fetchProfile(company, { signal } = {}) {
+    const permalink = crunchbasePermalink(company.crunchbase_url);
+    if (!permalink) return null;
+    const profile = await getOrganizationProfile(permalink, { signal });
+    if (!profile) return null;
+    return {
+      employee_range: profile.employee_range,
+      linkedin_url: profile.linkedin_url,
+      x_url: profile.x_url,
+      headquarters: profile.headquarters,
+      founders: profile.founders,
+      investors: profile.investors,
+      funding_rounds: profile.funding_rounds,
+    };
+  },
+};
@@ -0,0 +1,143 @@
+// Fixture-backed discovery provider
+// Serves organizations from a local JSON file so discovery can run offline (no API keys)
+// File format: { "organizations": [{ name, description, website, crunchbase_url, founded_year,
+//   last_funding_type, operating_status, headquarters, keywords: [], themes: [], category_groups: [],
+//   employee_range, linkedin_url, founders: [], investors: [], funding_rounds: [] }] }
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { nameKey } from '../entities.js';
+import { inRegion } from '../regions.js';
+
+const DEFAULT_FIXTURE_PATH = fileURLToPath(new URL('../../fixtures/discovery.json', import.meta.url));
+
+function toCandidate(org) {
+  const verified = !!org.crunchbase_url;
+  return {
+    name: org.name,
+    source: 'fixture',
+    description: org.description || '',
+    website: org.website || null,
+    crunchbase_url: org.crunchbase_url || null,
+    founded_year: org.founded_year || null,
+    funding_total_usd: org.funding_total_usd || null,
+    last_funding_type: org.last_funding_type || null,
+    operating_status: org.operating_status || 'active',
+    headquarters: org.headquarters || null,
+    crunchbase_verified: verified,
+    needs_enrichment: !verified,
+    sources: [{ type: 'fixture', url: org.crunchbase_url || org.website || '', label: 'Fixture' }],
+  };
+}
+
+/**
+ * Does any term of the query (3+ chars) appear in the organization's text?
+ */
+function matches(org, query, fields) {
+  const text = fields.map(f => [].concat(org[f] || []).join(' ')).join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(t => t.length > 2).some(t => text.includes(t));
+}
+
+/**
+ * Founded on/after the date (organizations without a founded year always pass)
+ */
+function foundedSince(org, foundedAfter) {
+  return !foundedAfter || !org.founded_year || Number(org.founded_year) >= Number(foundedAfter.slice(0, 4));
+}
+
+/**
+ * Last round is one of the required funding types (no requirement when fundingTypes is empty)
+ */
+function fundedAs(org, fundingTypes) {
+  return !fundingTypes?.length || fundingTypes.includes(org.last_funding_type);
+}
+
+/**
+ * Headquartered in the region (organizations without a headquarters always pass)
+ */
+function locatedIn(org, region) {
+  return inRegion(region, org.headquarters) !== false;
+}
+
+/**
+ * Create a provider over in-memory fixtures
+ * @param {Object} fixtures - { organizations: [...] }
+ */
+export function createFixtureProvider(fixtures) {
+  const organizations = fixtures.organizations || [];
+
+  return {
+    name: 'fixture',
+    label: 'local fixtures',
+
+    isAvailable: () => true,
+
+    planKeywordSearches(searchTerms) {
+      return (searchTerms.primary_keywords || []).slice(0, 5).map(query => ({ query, limit: 8 }));
+    },
+
+    async searchByKeyword(query, { limit = 8, signal, foundedAfter, fundingTypes, region } = {}) {
+      signal?.throwIfAborted();
+      return organizations
+        .filter(org => matches(org, query, ['name', 'description', 'keywords']))
+        .filter(org => foundedSince(org, foundedAfter) && fundedAs(org, fundingTypes) && locatedIn(org, region))
+        .slice(0, limit)
+        .map(toCandidate);
+    },
+
+    async searchByTheme(theme, { limit = 5, signal, foundedAfter, fundingTypes, region } = {}) {
+      signal?.throwIfAborted();
+      return organizations
+        .filter(org => matches(org, theme, ['themes', 'description']))
+        .filter(org => foundedSince(org, foundedAfter) && fundedAs(org, fundingTypes) && locatedIn(org, region))
+        .slice(0, limit)
+        .map(toCandidate);
+    },
+
+    async searchByCategory(categoryGroup, { limit = 8, signal, foundedAfter, fundingTypes, region } = {}) {
+      signal?.throwIfAborted();
+      return organizations
+        .filter(org => (org.category_groups || []).includes(categoryGroup))
+        .filter(org => foundedSince(org, foundedAfter) && fundedAs(org, fundingTypes) && locatedIn(org, region))
+        .slice(0, limit)
+        .map(toCandidate);
+    },
+
+    async enrichByName(company, { signal } = {}) {
+      signal?.throwIfAborted();
+      const org = organizations.find(o => o.crunchbase_url && nameKey(o.name) === nameKey(company.name));
+      if (!org) {
+        return { ...company, crunchbase_verified: false };
+      }
+      const { name, sources, ...details } = toCandidate(org);
+      return {
+        ...company,
+        ...details,
+        description: details.description || company.description,
+        search_snippet: details.description ? company.description || null : company.search_snippet,
+        needs_enrichment: false,
+      };
+    },
+
+    async fetchProfile(company, { signal } = {}) {
+      signal?.throwIfAborted();
+      const org = organizations.find(o => o.crunchbase_url && o.crunchbase_url === company.crunchbase_url);
+      if (!org) return null;
+      return {
+        employee_range: org.employee_range || null,
+        linkedin_url: org.linkedin_url || null,
+        headquarters: org.headquarters || null,
+        founders: org.founders || [],
+        investors: org.investors || [],
+        funding_rounds: org.funding_rounds || [],
+      };
+    },
+  };
+}
+
+/**
+ * Load the fixture provider from DISCOVERY_FIXTURES (or fixtures/discovery.json)
+ */
+export function loadFixtureProvider(filePath = process.env.DISCOVERY_FIXTURES || DEFAULT_FIXTURE_PATH) {
+  return createFixtureProvider(JSON.parse(readFileSync(filePath, 'utf8')));
+}
@@ -0,0 +1,67 @@
+// Discovery provider registry
+//
+// A provider is an object with:
+//   name                                   - Registry key ('crunchbase', 'brave', ...)
+//   label                                  - Used in progress messages
+//   isAvailable()                          - false when its API key is missing
+//   planKeywordSearches(searchTerms, { maxQueries, budget }) - [{ query, limit, ...options }] to run for the
+//                                          primary thesis; extra options are passed back to searchByKeyword
+//   searchByKeyword(query, { limit, signal, foundedAfter, fundingTypes, region }) - Candidates for a thesis keyword/query
+//   searchByTheme(theme, { limit, signal, foundedAfter, fundingTypes, region })   - Candidates for an adjacent theme
+//   searchByCategory(group, { limit, signal, foundedAfter, fundingTypes, region }) - Candidates in a Crunchbase
+//                                          category group (see lib/categories.js), or null if unsupported
+//   enrichByName(company, { signal, foundedAfter }) - Company merged with verified data (or null if unsupported)
+//   fetchProfile(company, { signal })      - { employee_range, linkedin_url, headquarters, founders, investors,
+//                                            funding_rounds } for a verified company (or null if unsupported)
+//
+// foundedAfter/fundingTypes come from the run config and stage profile; providers that
+// can't filter on them (web search) ignore them. region is the run's REGIONS entry (or null):
+// Crunchbase filters on its locations, Brave localizes queries with its country/language
+//
+// Candidates use the shape findRealCompanies() expects: { name, source, description, website,
+// crunchbase_url, founded_year, last_funding_type, operating_status, headquarters, crunchbase_verified, sources, ... }
+
+import { crunchbaseProvider } from './crunchbase.js';
+import { braveProvider } from './brave.js';
+import { loadFixtureProvider } from './fixture.js';
+
+const PROVIDERS = {
+  crunchbase: () => crunchbaseProvider,
+  brave: () => braveProvider,
+  fixture: () => loadFixtureProvider(),
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Used when a run doesn't pick providers (override with DISCOVERY_PROVIDERS=crunchbase,brave)
+export const DEFAULT_PROVIDERS = ['crunchbase', 'brave'];
+
+export function defaultProviderNames() {
+  return process.env.DISCOVERY_PROVIDERS
+    ? process.env.DISCOVERY_PROVIDERS.split(',').map(n => n.trim()).filter(Boolean)
+    : DEFAULT_PROVIDERS;
+}
+
+/**
+ * Build the set of discovery providers for a run
+ * @param {Array<string|Object>} providers - Provider names and/or provider objects
+ * @returns {Object} - { providers: available providers, enricher: first available provider that can enrich,
+ *   profiler: first available provider that can fetch profiles }
+ */
+export function createProviderRegistry(providers = defaultProviderNames()) {
+  const resolved = providers.map(p => {
+    if (typeof p !== 'string') return p;
+    if (!PROVIDERS[p]) {
+      throw new Error(`Unknown discovery provider: ${p} (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+    }
+    return PROVIDERS[p]();
+  });
+
+  const available = resolved.filter(p => p.isAvailable());
+
+  return {
+    providers: available,
+    enricher: available.find(p => typeof p.enrichByName === 'function') || null,
+    profiler: available.find(p => typeof p.fetchProfile === 'function') || null,
+  };
+}
@@ -0,0 +1,99 @@
+// Record/replay harness for external API calls (Anthropic, Brave, Crunchbase)
+//
+// RECORD_MODE=record  - Make live calls and write each response to a cassette file
+// RECORD_MODE=replay  - Serve responses from cassettes; never touches the network
+// (unset)             - Live calls, nothing recorded
+//
+// Cassettes are JSON files in CASSETTE_DIR (default fixtures/cassettes), one per distinct
+// request, named <service>-<hash of the request>. Requests are keyed without API keys
+// or headers, so cassettes hold no secrets and replay works without keys set.
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_CASSETTE_DIR = fileURLToPath(new URL('../fixtures/cassettes', import.meta.url));
+
+function recordMode() {
+  return process.env.RECORD_MODE || null;
+}
+
+function cassetteDir() {
+  return process.env.CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+}
+
+/**
+ * Is the harness serving recorded responses (API keys not required)?
+ */
+export function isReplaying() {
+  return recordMode() === 'replay';
+}
+
+/**
+ * Stable JSON (sorted object keys) so equal requests always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function cassettePath(service, request) {
+  const hash = createHash('sha256').update(stableStringify(request)).digest('hex').slice(0, 16);
+  return path.join(cassetteDir(), `${service}-${hash}.json`);
+}
+
+/**
+ * Run a call through the harness
+ * @param {string} service - Cassette namespace ('anthropic', 'brave', 'crunchbase')
+ * @param {Object} request - JSON-serializable description of the call (the cassette key)
+ * @param {Function} perform - Makes the live call; resolves to a JSON-serializable response
+ * @param {AbortSignal} options.signal - Checked before replaying (run cancelled)
+ */
+export async function recorded(service, request, perform, { signal } = {}) {
+  const mode = recordMode();
+  if (!mode) {
+    return perform();
+  }
+
+  const file = cassettePath(service, request);
+
+  if (mode === 'replay') {
+    signal?.throwIfAborted();
+    if (!existsSync(file)) {
+      throw new Error(`No ${service} cassette for request (${path.basename(file)}) - record it with RECORD_MODE=record`);
+    }
+    return JSON.parse(readFileSync(file, 'utf8')).response;
+  }
+
+  if (mode !== 'record') {
+    throw new Error(`Unknown RECORD_MODE: ${mode} (expected record or replay)`);
+  }
+
+  const response = await perform();
+  mkdirSync(path.dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify({ service, request, response }, null, 2));
+  return response;
+}
+
+/**
+ * fetch() through the harness - returns a Response either way, so callers keep using
+ * response.ok / .status / .json() / .text()
+ * The cassette key is the method, URL and body (headers carry API keys and are left out)
+ */
+export async function recordedFetch(service, url, init = {}) {
+  const request = { method: init.method || 'GET', url, body: init.body };
+
+  const { status, body } = await recorded(service, request, async () => {
+    const response = await fetch(url, init);
+    return { status: response.status, body: await response.text() };
+  }, { signal: init.signal });
+
+  return new Response(body, { status });
+}
@@ -0,0 +1,148 @@
+// Geographic focus for thesis runs
+// A run's config.region restricts discovery to companies headquartered in the region:
+// Crunchbase searches get a location_identifiers predicate, Brave searches are localized
+// (country, search language and the country's name in the query - multi-country regions
+// spread their queries over one locale per country) and companies with a known
+// headquarters elsewhere are dropped
+
+const EUROPE_COUNTRIES = [
+  'United Kingdom', 'Ireland', 'Germany', 'Austria', 'Switzerland', 'France', 'Belgium',
+  'Netherlands', 'Luxembourg', 'Spain', 'Portugal', 'Italy', 'Sweden', 'Norway', 'Denmark',
+  'Finland', 'Iceland', 'Estonia', 'Latvia', 'Lithuania', 'Poland', 'Czech Republic',
+  'Slovakia', 'Hungary', 'Romania', 'Bulgaria', 'Greece', 'Croatia', 'Slovenia', 'Serbia',
+  'Ukraine',
+];
+
+// Other spellings of a headquarters' country (lowercase) -> the name used in REGIONS
+const COUNTRY_ALIASES = {
+  'usa': 'United States', 'us': 'United States', 'u.s.': 'United States', 'u.s.a.': 'United States',
+  'united states of america': 'United States',
+  'uk': 'United Kingdom', 'u.k.': 'United Kingdom', 'great britain': 'United Kingdom',
+  'england': 'United Kingdom', 'scotland': 'United Kingdom', 'wales': 'United Kingdom',
+  'northern ireland': 'United Kingdom',
+  'the netherlands': 'Netherlands', 'holland': 'Netherlands',
+  'czechia': 'Czech Republic',
+};
+
+// Brave locale: country code (ALL where Brave has no market for the country), the country's
+// own search language, and the name added to the locale's queries
+const locale = (country, search_lang, label) => ({ country, search_lang, label });
+
+/**
+ * Region fields:
+ *   label      - Display name
+ *   locations  - Crunchbase location identifiers (permalinks) for the location_identifiers predicate
+ *   countries  - Countries a headquarters' last part ("City, Region, Country") must name
+ *   brave      - Brave locales, one per country searched; web queries rotate through them
+ */
+export const REGIONS = {
+  us: {
+    label: 'United States',
+    locations: ['united-states'],
+    countries: ['United States'],
+    brave: [locale('US', 'en', 'United States')],
+  },
+  canada: {
+    label: 'Canada',
+    locations: ['canada'],
+    countries: ['Canada'],
+    brave: [locale('CA', 'en', 'Canada')],
+  },
+  europe: {
+    label: 'Europe',
+    locations: ['europe'],
+    countries: EUROPE_COUNTRIES,
+    brave: [
+      locale('GB', 'en', 'United Kingdom'), locale('DE', 'de', 'Germany'), locale('FR', 'fr', 'France'),
+      locale('NL', 'nl', 'Netherlands'), locale('SE', 'sv', 'Sweden'), locale('ES', 'es', 'Spain'),
+    ],
+  },
+  uk: {
+    label: 'United Kingdom',
+    locations: ['united-kingdom'],
+    countries: ['United Kingdom'],
+    brave: [locale('GB', 'en', 'United Kingdom')],
+  },
+  dach: {
+    label: 'Germany, Austria and Switzerland',
+    locations: ['germany', 'austria', 'switzerland'],
+    countries: ['Germany', 'Austria', 'Switzerland'],
+    brave: [locale('DE', 'de', 'Germany'), locale('AT', 'de', 'Austria'), locale('CH', 'de', 'Switzerland')],
+  },
+  france: {
+    label: 'France',
+    locations: ['france'],
+    countries: ['France'],
+    brave: [locale('FR', 'fr', 'France')],
+  },
+  nordics: {
+    label: 'Nordics',
+    locations: ['sweden', 'norway', 'denmark', 'finland', 'iceland'],
+    countries: ['Sweden', 'Norway', 'Denmark', 'Finland', 'Iceland'],
+    brave: [
+      locale('SE', 'sv', 'Sweden'), locale('NO', 'nb', 'Norway'), locale('DK', 'da', 'Denmark'), locale('FI', 'fi', 'Finland'),
+    ],
+  },
+  israel: {
+    label: 'Israel',
+    locations: ['israel'],
+    countries: ['Israel'],
+    brave: [locale('ALL', 'en', 'Israel')],
+  },
+  india: {
+    label: 'India',
+    locations: ['india'],
+    countries: ['India'],
+    brave: [locale('IN', 'en', 'India')],
+  },
+  latam: {
+    label: 'Latin America',
+    locations: ['brazil', 'mexico', 'argentina', 'colombia', 'chile', 'peru', 'uruguay'],
+    countries: ['Brazil', 'Mexico', 'Argentina', 'Colombia', 'Chile', 'Peru', 'Uruguay'],
+    brave: [
+      locale('BR', 'pt-br', 'Brazil'), locale('MX', 'es', 'Mexico'), locale('AR', 'es', 'Argentina'), locale('CL', 'es', 'Chile'),
+    ],
+  },
+};
+
+export const REGION_NAMES = Object.keys(REGIONS);
+
+/**
+ * Region for a name (null for no geographic focus)
+ */
+export function getRegion(name) {
+  return (name && REGIONS[name]) || null;
+}
+
+/**
+ * Crunchbase location_identifiers -> "City, Region, Country" (continents left out)
+ */
+export function formatHeadquarters(locationIdentifiers) {
+  if (!Array.isArray(locationIdentifiers)) return null;
+  const order = ['city', 'region', 'country'];
+  const parts = order
+    .map(type => locationIdentifiers.find(l => l.location_type === type)?.value)
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Country of a headquarters - its last comma-separated part, aliases resolved ("Austin, TX, USA"
+ * -> "united states"), lowercase
+ */
+function countryOf(headquarters) {
+  const country = headquarters.split(',').pop().trim().toLowerCase();
+  return (COUNTRY_ALIASES[country] || country).toLowerCase();
+}
+
+/**
+ * Is a headquarters inside the region? Unknown headquarters count as unknown (null)
+ * The country is matched exactly, so "Indiana, United States" is not in India
+ * @returns {boolean|null}
+ */
+export function inRegion(region, headquarters) {
+  if (!region) return true;
+  if (!headquarters) return null;
+  const country = countryOf(headquarters);
+  return region.countries.some(c => c.toLowerCase() === country);
+}
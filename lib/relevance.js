@@ -0,0 +1,142 @@
+// Keyword relevance
+// Scores how well a company's name + description matches the thesis keywords. Text is
+// tokenized and stemmed (so "trucks" matches "trucking" but "fleet" no longer matches
+// "fleeting"), multi-word keywords match as phrases, each keyword also matches the synonyms
+// from the thesis analysis, and matches are weighted BM25-style across the candidate set:
+// rare keywords count for more than ones every candidate mentions, and repeated mentions
+// saturate instead of adding up
+
+// BM25 term-frequency saturation and document-length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Words the suffix rules would wrongly reduce to another word's stem (as in Porter2's exception list)
+const STEM_EXCEPTIONS = new Set([
+  'fleeting', 'during', 'news', 'series', 'species', 'morning', 'evening', 'nothing', 'something',
+]);
+
+const VOWEL = /[aeiouy]/;
+
+/**
+ * Light suffix-stripping stemmer: plurals, -ing, -ed and -ation, then a final "e",
+ * so "vehicles"/"vehicle" and "driving"/"drive"/"drives" share a stem
+ */
+export function stem(token) {
+  if (token.length <= 3 || STEM_EXCEPTIONS.has(token) || /\d/.test(token)) return token;
+
+  let word = token;
+  if (word.endsWith('ies') && word.length > 4) {
+    word = `${word.slice(0, -3)}y`;
+  } else if (word.endsWith('sses')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  for (const suffix of ['ing', 'ed']) {
+    const base = word.slice(0, -suffix.length);
+    if (word.endsWith(suffix) && base.length >= 3 && VOWEL.test(base)) {
+      // Undouble: shipping -> ship (but not install, pass, buzz)
+      word = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+  if (word.endsWith('ation') && word.length > 7) {
+    word = word.slice(0, -3);
+  }
+  if (word.endsWith('e') && word.length > 4) {
+    word = word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Lowercased, stemmed word tokens ("Self-driving trucks" -> ['self', 'driv', 'truck'])
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []).map(stem);
+}
+
+/**
+ * Occurrences of a phrase (stemmed tokens) in a token list
+ */
+function countPhrase(tokens, phrase) {
+  if (phrase.length === 0) return 0;
+  let count = 0;
+  for (let i = 0; i <= tokens.length - phrase.length; i++) {
+    if (phrase.every((token, j) => tokens[i + j] === token)) count++;
+  }
+  return count;
+}
+
+/**
+ * Thesis keywords with their synonym phrases, tokenized once
+ * @param {Array<string>} keywords - thesis_keywords from the thesis analysis
+ * @param {Array<Object>} synonyms - keyword_synonyms: [{ keyword, synonyms: [...] }]
+ * @returns {Array<Object>} - [{ keyword, phrases: [[token, ...], ...] }]
+ */
+export function buildQuery(keywords, synonyms = []) {
+  const synonymsOf = new Map(
+    (synonyms || []).map(s => [String(s.keyword).toLowerCase().trim(), s.synonyms || []])
+  );
+  const seen = new Set();
+  const query = [];
+  for (const raw of keywords || []) {
+    const keyword = String(raw).toLowerCase().trim();
+    if (!keyword || seen.has(keyword)) continue;
+    seen.add(keyword);
+    const variants = [keyword, ...(synonymsOf.get(keyword) || [])];
+    const phrases = [];
+    for (const variant of variants) {
+      const phrase = tokenize(variant);
+      if (phrase.length > 0 && !phrases.some(p => p.join(' ') === phrase.join(' '))) {
+        phrases.push(phrase);
+      }
+    }
+    if (phrases.length > 0) query.push({ keyword, phrases });
+  }
+  return query;
+}
+
+/**
+ * Score companies against the thesis keywords (name, description and website meta description)
+ * Every keyword (or one of its synonyms) found in the text is a match; relevance_score is the
+ * BM25 sum over matched keywords, with IDF and average length taken from the companies scored
+ * @param {Array} companies - Candidates with name + description
+ * @param {Array<string>} keywords - thesis_keywords
+ * @param {Array<Object>} synonyms - keyword_synonyms ([{ keyword, synonyms }])
+ * @returns {Array} - { relevance_score, keyword_matches, matched_keywords } per company, same order
+ */
+export function scoreRelevance(companies, keywords, synonyms = []) {
+  const query = buildQuery(keywords, synonyms);
+  const docs = companies.map(c => tokenize(
+    `${c.name} ${c.description || ''} ${c.website_content?.meta_description || ''}`
+  ));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+
+  const termFrequencies = docs.map(tokens => query.map(({ phrases }) =>
+    phrases.reduce((sum, phrase) => sum + countPhrase(tokens, phrase), 0)
+  ));
+
+  const idf = query.map((_, q) => {
+    const containing = termFrequencies.filter(tfs => tfs[q] > 0).length;
+    return Math.log(1 + (docs.length - containing + 0.5) / (containing + 0.5));
+  });
+
+  return docs.map((tokens, d) => {
+    const norm = K1 * (1 - B + B * tokens.length / avgLength);
+    let score = 0;
+    const matched = [];
+    query.forEach(({ keyword }, q) => {
+      const tf = termFrequencies[d][q];
+      if (tf === 0) return;
+      score += idf[q] * (tf * (K1 + 1)) / (tf + norm);
+      matched.push(keyword);
+    });
+    return {
+      relevance_score: Math.round(score * 100) / 100,
+      keyword_matches: matched.length,
+      matched_keywords: matched,
+    };
+  });
+}
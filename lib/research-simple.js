@@ -1,8 +1,4 @@
-import Anthropic from '@anthropic-ai/sdk';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+import { createMessage } from './anthropic.js';
 
 /**
  * Simple research - just ask Claude to think hard about 10 real companies
@@ -42,7 +38,7 @@ export async function* runResearchSimple(thesis) {
   yield { type: 'progress', message: 'Analyzing thesis (thinking deeply about real companies)...' };
   
   try {
-    const response = await anthropic.messages.create({
+    const response = await createMessage({
       model: 'claude-sonnet-4-20250514',
       max_tokens: 6000,
       // No extended thinking - just a good prompt (Vercel 60s limit)
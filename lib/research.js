@@ -1,10 +1,17 @@
-import Anthropic from '@anthropic-ai/sdk';
-import { searchOrganizations, enrichCompany, isCrunchbaseAvailable } from './crunchbase.js';
-import { searchStartups, searchThesisSources, isWebSearchAvailable } from './websearch.js';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+import { callStructured, checkCompanyNames } from './structured.js';
+import { searchThesisSources, isWebSearchAvailable } from './websearch.js';
+import { createMemoryCheckpointStore } from './checkpoints.js';
+import { resolveEntities } from './entities.js';
+import { createProviderRegistry } from './providers/index.js';
+import { mapConcurrent } from './concurrency.js';
+import { DEFAULT_RUN_CONFIG } from './config.js';
+import { stageProfile } from './stages.js';
+import { getRegion, inRegion } from './regions.js';
+import { CATEGORY_GROUPS, toCategoryGroups } from './categories.js';
+import { researchFounders, researchedTeamScore } from './founders.js';
+import { rubricOf, analysisDimensions, scoreCompany } from './scoring.js';
+import { scoreRelevance } from './relevance.js';
+import { fetchCompanyWebsite, summarizeWebsites } from './website.js';
 
 /**
  * STEP 1: Analyze thesis and generate search terms + adjacent themes for discovery
@@ -12,9 +19,11 @@ const anthropic = new Anthropic({
 const KEYWORD_PROMPT = `You are a PHD-LEVEL RESEARCHER analyzing an investment thesis with academic rigor. Think like a doctoral candidate doing a comprehensive literature review - you need to identify ALL the key concepts, technologies, and terms that would appear in relevant companies.
 
 Your job: Given an investment thesis, generate:
-1. THESIS KEYWORDS (10-15): The core technical and business terms that a company MUST use in their description to be relevant. Be specific and comprehensive. These will be used to FILTER companies - only those matching 4+ keywords will be included.
+1. THESIS KEYWORDS (10-15): The core technical and business terms that a company MUST use in their description to be relevant. Be specific and comprehensive. These will be used to FILTER companies - only those matching 4+ keywords will be included. Matching is by word stem (plurals and -ing/-ed forms match), and multi-word keywords match as phrases.
 
-2. ADJACENT THEMES: Second/third-order investment opportunities.
+2. KEYWORD SYNONYMS: For each thesis keyword that companies often describe in other words, 1-3 synonyms or variants (e.g., "driverless" for "autonomous", "haulage" for "trucking"). A synonym counts as a match for its keyword.
+
+3. ADJACENT THEMES: Second/third-order investment opportunities.
 
 KEYWORD GENERATION RULES:
 - Include technical terms (e.g., "LiDAR", "computer vision", "SLAM")
@@ -33,9 +42,10 @@ ADJACENT THEMES should capture:
 3. PICKS & SHOVELS: Tool providers
 4. PARALLEL PLAYS: Same tech, different vertical
 
-Return JSON only:
+Call the record_search_terms tool with:
 {
   "thesis_keywords": ["keyword1", "keyword2", ...],  // 10-15 keywords for filtering (companies need 4+ matches)
+  "keyword_synonyms": [{ "keyword": "autonomous", "synonyms": ["driverless", "self-driving"] }],  // synonyms for thesis keywords
   "primary_keywords": ["keyword1", "keyword2"],  // 3-5 for search queries
   "adjacent_themes": [
     {
@@ -44,299 +54,342 @@ Return JSON only:
       "rationale": "One sentence on why this is investable if main thesis succeeds"
     }
   ],  // 5-8 adjacent themes with order classification
-  "crunchbase_categories": ["category1"],        // Crunchbase industry categories
+  "crunchbase_categories": ["Transportation"],   // 2-4 Crunchbase category groups (see list below)
   "search_queries": ["query1", "query2"],        // 5-8 specific search queries for finding startups
   "public_comps": ["TICKER1", "TICKER2"],        // 3-5 public company tickers to monitor
   "thesis_summary": "One paragraph summary of the investment thesis and what makes it compelling"
-}`;
+}
+
+CRUNCHBASE CATEGORY GROUPS (use these exact names):
+${Object.values(CATEGORY_GROUPS).join(', ')}`;
 
-async function generateSearchTerms(thesis) {
-  const response = await anthropic.messages.create({
+const stringList = (minItems = 0) => ({ type: 'array', items: { type: 'string' }, minItems });
+
+const SEARCH_TERMS_TOOL = {
+  name: 'record_search_terms',
+  description: 'Record the search terms and adjacent themes generated for the thesis',
+  input_schema: {
+    type: 'object',
+    properties: {
+      thesis_keywords: stringList(4),
+      keyword_synonyms: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            keyword: { type: 'string' },
+            synonyms: stringList(),
+          },
+          required: ['keyword', 'synonyms'],
+        },
+      },
+      primary_keywords: stringList(1),
+      adjacent_themes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            theme: { type: 'string' },
+            order: { type: 'string', enum: ['2nd', '3rd', 'picks_shovels', 'parallel'] },
+            rationale: { type: 'string' },
+          },
+          required: ['theme', 'order', 'rationale'],
+        },
+      },
+      crunchbase_categories: stringList(),
+      search_queries: stringList(1),
+      public_comps: stringList(),
+      thesis_summary: { type: 'string' },
+    },
+    required: ['thesis_keywords', 'primary_keywords', 'adjacent_themes', 'search_queries', 'thesis_summary'],
+  },
+};
+
+async function generateSearchTerms(thesis, { signal } = {}) {
+  return callStructured({
     model: 'claude-sonnet-4-20250514',
     max_tokens: 1024,
-    messages: [{
-      role: 'user',
-      content: `${KEYWORD_PROMPT}\n\nINVESTMENT THESIS: "${thesis}"`
-    }],
-  });
+    prompt: `${KEYWORD_PROMPT}\n\nINVESTMENT THESIS: "${thesis}"`,
+    tool: SEARCH_TERMS_TOOL,
+  }, { signal });
+}
 
-  const text = response.content[0].text;
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) throw new Error('Failed to parse keyword response');
-  
-  return JSON.parse(jsonMatch[0]);
+/**
+ * Last funding round in the stage profiles' form ('Series B' -> 'series_b')
+ */
+const fundingTypeOf = (company) => (company.last_funding_type || '').toLowerCase().replace(/[\s-]/g, '_');
+
+/**
+ * Why a company is outside the run's stage profile (seed: Series B+, public), or null
+ */
+function offStageReason(profile, company) {
+  if (!profile.excluded_funding_types.includes(fundingTypeOf(company))) return null;
+  return `Off-stage for ${profile.label} (last round: ${company.last_funding_type})`;
+}
+
+/**
+ * Funding stage for display - the last round, 'early' for a stage round without a name
+ */
+function fundingStageOf(profile, company) {
+  const fundingType = fundingTypeOf(company);
+  if (profile.funding_types.includes(fundingType)) return company.last_funding_type || 'early';
+  return fundingType ? company.last_funding_type : 'unknown';
 }
 
 /**
  * STEP 2: Search AGGRESSIVELY for real companies across ALL sources
- * - Run Brave AND Crunchbase in parallel
+ * - Run every discovery provider (Crunchbase, Brave, ...) in parallel
  * - Use multiple search variations
  */
-async function findRealCompanies(searchTerms, progressCallback) {
-  const companies = [];
-  const seen = new Set();
-
-  // Define early-stage funding types we want to prioritize (SEED/PRE-SEED/SERIES A ONLY)
-  const EARLY_STAGE_TYPES = ['seed', 'pre_seed', 'angel', 'grant', 'convertible_note', 'series_a'];
-  // EXCLUDE: Series B+, any debt, PE, public companies
-  const LATE_STAGE_TYPES = [
-    'series_b', 'series_c', 'series_d', 'series_e', 'series_f', 'series_g', 'series_h',
-    'private_equity', 'post_ipo_equity', 'post_ipo_debt', 'post_ipo_secondary', 'ipo',
-    'debt_financing', 'debt', 'secondary_market', 'non_equity_assistance', 'corporate_round',
-    'venture_series_unknown' // Often means late stage
-  ];
+async function findRealCompanies(searchTerms, progressCallback, { providers = [], config = DEFAULT_RUN_CONFIG, signal, onReject = () => {} } = {}) {
+  const candidates = [];
+
+  // Funding rounds the run's stage profile targets / excludes (seed: pre-seed to Series A, no B+/debt/public)
+  const profile = stageProfile(config.stage);
+  const searchOptions = {
+    signal,
+    foundedAfter: config.founded_after,
+    fundingTypes: profile.require_funding_type ? profile.funding_types : null,
+    region: getRegion(config.region),
+  };
   
+  // Duplicates are fine here - resolveEntities() merges them once all searches finish
   const addCompany = (company) => {
-    const key = company.name.toLowerCase().trim();
-    if (!seen.has(key) && company.name.length > 1 && company.name.length < 100) {
+    if (company.name.length > 1 && company.name.length < 100) {
       // FILTER OUT defunct/closed companies
       const operatingStatus = (company.operating_status || company.crunchbase_data?.operating_status || '').toLowerCase();
       if (operatingStatus && operatingStatus !== 'active' && operatingStatus !== '') {
         console.log(`Skipping defunct company: ${company.name} (status: ${operatingStatus})`);
+        onReject(company, `Not operating (status: ${operatingStatus})`);
         return; // Skip defunct companies
       }
       
-      // FILTER OUT late-stage companies (Series B+, public)
-      const fundingType = (company.last_funding_type || '').toLowerCase().replace(/[\s-]/g, '_');
-      if (LATE_STAGE_TYPES.includes(fundingType)) {
-        console.log(`Skipping late-stage company: ${company.name} (${company.last_funding_type})`);
+      // FILTER OUT companies outside the stage profile (seed: Series B+, public)
+      const offStage = offStageReason(profile, company);
+      if (offStage) {
+        console.log(`Skipping ${profile.label} off-stage company: ${company.name} (${company.last_funding_type})`);
+        onReject(company, offStage);
         return; // Skip this company
       }
-      
-      // Determine funding stage for display
-      let funding_stage = 'unknown';
-      if (EARLY_STAGE_TYPES.includes(fundingType)) {
-        funding_stage = company.last_funding_type || 'early';
-      } else if (fundingType) {
-        funding_stage = company.last_funding_type;
+
+      // FILTER OUT companies headquartered outside the run's region (unknown headquarters stay)
+      if (inRegion(searchOptions.region, company.headquarters) === false) {
+        console.log(`Skipping out-of-region company: ${company.name} (${company.headquarters})`);
+        onReject(company, `Headquartered outside ${searchOptions.region.label} (${company.headquarters})`);
+        return;
       }
       
-      seen.add(key);
-      companies.push({
+      candidates.push({
         ...company,
-        funding_stage,
+        funding_stage: fundingStageOf(profile, company), // for display
         operating_status: operatingStatus || 'unknown',
         sources: company.sources || [], // Initialize sources array
       });
     }
   };
 
-  // Run Crunchbase and Brave searches in parallel
+  // Every provider runs its keyword searches and theme searches in parallel; each search resolves
+  // to its tagged results, which are added in plan order (not completion order) once all are in
   const searchPromises = [];
 
-  // CRUNCHBASE SEARCHES - Multiple query variations
-  if (isCrunchbaseAvailable()) {
-    progressCallback('Searching Crunchbase...');
-    
-    // Search with primary keywords (EXTENDED: 5 keywords)
-    for (const keyword of searchTerms.primary_keywords.slice(0, 5)) {
+  // Extract theme strings from adjacent_themes (handles both old string[] and new object[] format)
+  const themeStrings = (searchTerms.adjacent_themes || []).map(t => 
+    typeof t === 'string' ? t : t.theme
+  ).filter(Boolean);
+
+  // Suggested industry categories, mapped onto Crunchbase category groups
+  const categoryGroups = toCategoryGroups(searchTerms.crunchbase_categories);
+
+  for (const provider of providers) {
+    progressCallback(`Searching ${provider.label}...`);
+
+    // Primary thesis searches
+    const plan = provider.planKeywordSearches(searchTerms, { maxQueries: config.max_queries, budget: config.crunchbase_budget });
+    for (const { query, ...options } of plan) {
       searchPromises.push(
-        searchOrganizations(keyword, 8)
-          .then(results => {
-            for (const org of results) {
-              const name = org.properties?.identifier?.value;
-              if (name) {
-                const cbUrl = `https://www.crunchbase.com/organization/${name.toLowerCase().replace(/\s+/g, '-')}`;
-                addCompany({
-                  name,
-                  source: 'crunchbase',
-                  description: org.properties?.short_description || '',
-                  website: org.properties?.website_url?.value || '',
-                  founded_year: org.properties?.founded_on?.value?.split('-')[0],
-                  funding_total: org.properties?.funding_total?.value_usd,
-                  last_funding_type: org.properties?.last_funding_type,
-                  last_funding_at: org.properties?.last_funding_at?.value,
-                  operating_status: org.properties?.operating_status,
-                  crunchbase_verified: true,
-                  crunchbase_data: org.properties,
-                  sources: [{ type: 'crunchbase', url: cbUrl, label: 'Crunchbase' }],
-                });
-              }
-            }
+        provider.searchByKeyword(query, { ...options, ...searchOptions })
+          .then(results => results.map(company => ({ ...company, discovery_source: 'primary_thesis' })))
+          .catch(e => {
+            console.error(`${provider.label} search error:`, e.message);
+            return [];
           })
-          .catch(e => console.error('Crunchbase search error:', e.message))
       );
     }
 
-    // Search with search queries too (EXTENDED: 6 queries)
-    for (const query of searchTerms.search_queries.slice(0, 6)) {
-      const firstWord = query.split(' ')[0];
+    // Adjacent themes (2nd/3rd order effects) - config.max_themes
+    for (const theme of themeStrings.slice(0, config.max_themes)) {
       searchPromises.push(
-        searchOrganizations(firstWord, 5)
-          .then(results => {
-            for (const org of results) {
-              const name = org.properties?.identifier?.value;
-              if (name) {
-                const cbUrl2 = `https://www.crunchbase.com/organization/${name.toLowerCase().replace(/\s+/g, '-')}`;
-                addCompany({
-                  name,
-                  source: 'crunchbase',
-                  description: org.properties?.short_description || '',
-                  website: org.properties?.website_url?.value || '',
-                  founded_year: org.properties?.founded_on?.value?.split('-')[0],
-                  funding_total: org.properties?.funding_total?.value_usd,
-                  last_funding_type: org.properties?.last_funding_type,
-                  last_funding_at: org.properties?.last_funding_at?.value,
-                  operating_status: org.properties?.operating_status,
-                  crunchbase_verified: true,
-                  crunchbase_data: org.properties,
-                  discovery_source: 'primary_thesis',
-                  sources: [{ type: 'crunchbase', url: cbUrl2, label: 'Crunchbase' }],
-                });
-              }
-            }
+        provider.searchByTheme(theme, searchOptions)
+          .then(results => results.map(company => ({ ...company, discovery_source: 'adjacent_theme', discovered_via_theme: theme })))
+          .catch(e => {
+            console.error(`${provider.label} (${theme}) error:`, e.message);
+            return [];
           })
-          .catch(e => console.error('Crunchbase query search error:', e.message))
       );
     }
-    
-    // Search Crunchbase for ADJACENT THEMES (2nd/3rd order effects)
-    const themeStrings = (searchTerms.adjacent_themes || []).map(t => 
-      typeof t === 'string' ? t : t.theme
-    ).filter(Boolean);
-    
-    for (const theme of themeStrings.slice(0, 6)) {
-      const themeKeyword = theme.split(' ')[0]; // Use first word for Crunchbase
-      searchPromises.push(
-        searchOrganizations(themeKeyword, 5)
-          .then(results => {
-            for (const org of results) {
-              const name = org.properties?.identifier?.value;
-              if (name) {
-                const cbUrl3 = `https://www.crunchbase.com/organization/${name.toLowerCase().replace(/\s+/g, '-')}`;
-                addCompany({
-                  name,
-                  source: 'crunchbase',
-                  description: org.properties?.short_description || '',
-                  website: org.properties?.website_url?.value || '',
-                  founded_year: org.properties?.founded_on?.value?.split('-')[0],
-                  funding_total: org.properties?.funding_total?.value_usd,
-                  last_funding_type: org.properties?.last_funding_type,
-                  last_funding_at: org.properties?.last_funding_at?.value,
-                  operating_status: org.properties?.operating_status,
-                  crunchbase_verified: true,
-                  crunchbase_data: org.properties,
-                  discovery_source: 'adjacent_theme',
-                  discovered_via_theme: theme,
-                  sources: [{ type: 'crunchbase', url: cbUrl3, label: 'Crunchbase' }],
-                });
-              }
-            }
-          })
-          .catch(e => console.error(`Crunchbase (${theme}) error:`, e.message))
-      );
+
+    // Category groups - a whole industry is too broad on its own, so always restrict to the stage's rounds
+    if (typeof provider.searchByCategory === 'function') {
+      for (const group of categoryGroups) {
+        searchPromises.push(
+          provider.searchByCategory(group, { ...searchOptions, fundingTypes: profile.funding_types })
+            .then(results => results.map(company => ({ ...company, discovery_source: 'category' })))
+            .catch(e => {
+              console.error(`${provider.label} (category ${group}) error:`, e.message);
+              return [];
+            })
+        );
+      }
     }
   }
-
-  // BRAVE WEB SEARCHES - Primary thesis + adjacent themes
-  if (isWebSearchAvailable()) {
-    progressCallback('Searching web sources...');
-    
-    // Extract theme strings from adjacent_themes (handles both old string[] and new object[] format)
-    const themeStrings = (searchTerms.adjacent_themes || []).map(t => 
-      typeof t === 'string' ? t : t.theme
-    ).filter(Boolean);
-    
-    // Search 1: Primary keywords
-    const primaryKeywords = searchTerms.primary_keywords.join(' ');
-    searchPromises.push(
-      searchStartups(primaryKeywords + ' startup', 10)
-        .then(webResults => {
-          for (const result of webResults) {
-            const titleParts = result.title.split(/[-–|:]/);
-            const potentialName = titleParts[0].trim()
-              .replace(/\s*(Inc\.?|LLC|Ltd\.?|Corp\.?|Company)\s*$/i, '')
-              .trim();
-            
-            if (potentialName && potentialName.length > 2 && potentialName.length < 50) {
-              addCompany({
-                name: potentialName,
-                source: 'web',
-                description: result.description || '',
-                website: null, // DON'T save article URL - will enrich from Crunchbase
-                crunchbase_verified: false,
-                discovery_source: 'primary_thesis',
-                sources: [{ type: 'web', url: result.url, label: 'Web Search' }],
-                needs_enrichment: true, // Flag for Crunchbase lookup
-              });
-            }
-          }
-        })
-        .catch(e => console.error('Web search (primary) error:', e.message))
-    );
-    
-    // Search adjacent themes (2nd/3rd order effects) - EXTENDED: 6 themes
+  if (themeStrings.length > 0 && config.max_themes > 0 && providers.length > 0) {
     progressCallback('Searching adjacent themes (2nd/3rd order effects)...');
-    for (const theme of themeStrings.slice(0, 6)) {
-      searchPromises.push(
-        searchStartups(theme + ' startup company', 8)
-          .then(webResults => {
-            for (const result of webResults) {
-              const titleParts = result.title.split(/[-–|:]/);
-              const potentialName = titleParts[0].trim()
-                .replace(/\s*(Inc\.?|LLC|Ltd\.?|Corp\.?|Company)\s*$/i, '')
-                .trim();
-              
-              if (potentialName && potentialName.length > 2 && potentialName.length < 50) {
-                addCompany({
-                  name: potentialName,
-                  source: 'web',
-                  description: result.description || '',
-                  website: null, // DON'T save article URL - will enrich from Crunchbase
-                  crunchbase_verified: false,
-                  discovery_source: 'adjacent_theme',
-                  discovered_via_theme: theme,
-                  sources: [{ type: 'web', url: result.url, label: 'Web Search' }],
-                  needs_enrichment: true, // Flag for Crunchbase lookup
-                });
-              }
-            }
-          })
-          .catch(e => console.error(`Web search (${theme}) error:`, e.message))
-      );
-    }
+  }
+  if (categoryGroups.length > 0 && providers.some(p => typeof p.searchByCategory === 'function')) {
+    progressCallback(`Searching category groups: ${categoryGroups.join(', ')}...`);
   }
 
   // Wait for all searches to complete
-  await Promise.all(searchPromises);
+  const searchResults = await Promise.all(searchPromises);
+  // Search errors are logged and swallowed above - a cancelled run must still stop here
+  signal?.throwIfAborted();
+  for (const results of searchResults) {
+    for (const company of results) {
+      addCompany(company);
+    }
+  }
   
-  progressCallback(`Found ${companies.length} unique companies across all sources`);
+  // ENTITY RESOLUTION: one candidate per real company, with all its evidence
+  const companies = resolveEntities(candidates);
+  
+  progressCallback(`Found ${companies.length} unique companies across all sources (${candidates.length} raw results)`);
   return companies;
 }
 
+// Website fetches in flight at once (homepage + /about each)
+const WEBSITE_CONCURRENCY = 5;
+
+// Websites summarized per Claude call, and summary calls in flight at once
+const WEBSITE_SUMMARY_BATCH = 8;
+const WEBSITE_SUMMARY_CONCURRENCY = 3;
+
+/**
+ * Does the stage read the company's website? Only companies described by a search snippet -
+ * enrichment replaces the snippet of the companies Crunchbase verifies with their Crunchbase
+ * description
+ */
+function needsWebsite(company) {
+  return !company.crunchbase_verified && !!company.website;
+}
+
+/**
+ * Web-sourced companies whose websites the stage reads - over the cap (config.max_websites),
+ * the ones whose search snippets match the thesis keywords best
+ */
+function websitesToRead(companies, maxWebsites, { keywords = [], synonyms = [] } = {}) {
+  const unread = companies.filter(needsWebsite);
+  if (unread.length <= maxWebsites) return unread;
+  const relevance = scoreRelevance(unread, keywords, synonyms);
+  return unread
+    .map((company, i) => ({ company, i, score: relevance[i].relevance_score }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, maxWebsites)
+    .map(({ company }) => company);
+}
+
+/**
+ * STEP 2.4: WEBSITE CONTENT - web-sourced companies only have a search snippet, which often
+ * describes an article rather than the company. Fetch their websites (up to maxWebsites) and
+ * replace the snippet (kept as search_snippet) with a summary of what the company does
+ */
+async function readWebsites(companies, { maxWebsites = DEFAULT_RUN_CONFIG.max_websites, keywords, synonyms, signal } = {}) {
+  const toRead = websitesToRead(companies, maxWebsites, { keywords, synonyms });
+  if (toRead.length === 0) return companies;
+
+  const fetchSite = async (company) => {
+    try {
+      return await fetchCompanyWebsite(company.website, { signal });
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.error(`Website fetch failed for ${company.name} (${company.website}):`, e.message);
+      return null;
+    }
+  };
+  // Kept in input order, not completion order, so the summary prompts (and their cassettes)
+  // don't depend on which site answered first
+  const sites = new Array(toRead.length).fill(null);
+  for await (const { index, value } of mapConcurrent(toRead, WEBSITE_CONCURRENCY, fetchSite)) {
+    sites[index] = value;
+  }
+  const fetched = toRead
+    .map((company, i) => sites[i] && { ...company, website_content: sites[i] })
+    .filter(Boolean);
+
+  const batches = [];
+  for (let i = 0; i < fetched.length; i += WEBSITE_SUMMARY_BATCH) {
+    batches.push(fetched.slice(i, i + WEBSITE_SUMMARY_BATCH));
+  }
+  // A failed batch keeps its search snippets
+  const summarize = async (batch) => {
+    try {
+      return await summarizeWebsites(batch, { signal });
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.error(`Website summary failed for ${batch.map(c => c.name).join(', ')}:`, e.message);
+      return new Map();
+    }
+  };
+  const summaries = new Map();
+  for await (const { value } of mapConcurrent(batches, WEBSITE_SUMMARY_CONCURRENCY, summarize)) {
+    for (const [name, summary] of value) {
+      summaries.set(name, summary);
+    }
+  }
+
+  const byName = new Map(fetched.map(c => [c.name, c.website_content]));
+  return companies.map(c => {
+    const site = byName.get(c.name);
+    const summary = summaries.get(c.name);
+    if (!site || !summary?.describes_company || !summary.summary) return c;
+    return {
+      ...c,
+      description: summary.summary,
+      search_snippet: c.description || null,
+      // Page text stays out of checkpoints - the summary and metadata are what later stages use
+      website_content: {
+        url: site.final_url,
+        title: site.title,
+        meta_description: site.meta_description || site.og_description,
+        summary: summary.summary,
+      },
+    };
+  });
+}
+
 /**
  * STEP 2.5a: KEYWORD MATCHING FILTER
- * Companies must match 4+ thesis keywords to pass
- * This is deterministic, not subjective
+ * Companies must match minMatches+ thesis keywords to pass (config.min_keyword_matches)
+ * Matches are stemmed, phrase-aware and include synonyms; survivors are ranked by their
+ * BM25 relevance_score (see lib/relevance.js). This is deterministic, not subjective
  */
-function filterByKeywordMatch(companies, thesisKeywords, minMatches = 4, progressCallback) {
+function filterByKeywordMatch(companies, thesisKeywords, minMatches = 4, progressCallback, { synonyms = [], onReject = () => {} } = {}) {
   if (!thesisKeywords || thesisKeywords.length === 0) {
     console.warn('No thesis keywords provided, skipping keyword filter');
     return companies;
   }
   
-  // Normalize keywords to lowercase for matching
-  const keywords = thesisKeywords.map(k => k.toLowerCase().trim());
-  
-  const scored = companies.map(c => {
-    const companyText = `${c.name} ${c.description || ''}`.toLowerCase();
-    
-    // Count how many keywords appear in the company text
-    const matchedKeywords = keywords.filter(kw => companyText.includes(kw));
-    const keywordMatches = matchedKeywords.length;
-    
-    return {
-      ...c,
-      keyword_matches: keywordMatches,
-      matched_keywords: matchedKeywords,
-    };
-  });
+  const relevance = scoreRelevance(companies, thesisKeywords, synonyms);
+  const scored = companies.map((c, i) => ({ ...c, ...relevance[i] }));
   
-  // Filter to companies with 4+ keyword matches
+  // Filter to companies with minMatches+ keyword matches
   const filtered = scored.filter(c => c.keyword_matches >= minMatches);
+  for (const c of scored.filter(c => c.keyword_matches < minMatches)) {
+    const matched = c.matched_keywords.length > 0 ? `: ${c.matched_keywords.join(', ')}` : '';
+    onReject(c, `Matched ${c.keyword_matches} of ${minMatches} required thesis keywords${matched}`);
+  }
   
-  // Sort by keyword matches (more = better fit)
-  filtered.sort((a, b) => b.keyword_matches - a.keyword_matches);
+  // Sort by relevance (rarer keywords and more of them = better fit)
+  filtered.sort((a, b) => b.relevance_score - a.relevance_score);
   
   progressCallback(`${filtered.length} companies matched ${minMatches}+ keywords (from ${companies.length} total)`);
   
@@ -356,9 +409,12 @@ function tagDataQuality(companies, progressCallback) {
     if (c.crunchbase_verified && c.description) {
       data_confidence = 'high';
       data_source = 'crunchbase';
-    } else if (c.sources && c.sources.length > 0) {
-      // Has a web source (VC portfolio, article, etc.)
+    } else if (c.website_content?.summary) {
+      // Described from the company's own website
       data_confidence = 'medium';
+      data_source = 'website';
+    } else if (c.sources && c.sources.length > 0) {
+      // Only a search snippet (VC portfolio, article, etc.) - may describe the article, not the company
       data_source = c.sources[0]?.label || 'web';
     }
     
@@ -371,16 +427,17 @@ function tagDataQuality(companies, progressCallback) {
   
   const highConf = tagged.filter(c => c.data_confidence === 'high').length;
   const medConf = tagged.filter(c => c.data_confidence === 'medium').length;
-  progressCallback(`Data quality: ${highConf} high confidence (Crunchbase), ${medConf} medium (VC/web sources)`);
+  progressCallback(`Data quality: ${highConf} high confidence (Crunchbase), ${medConf} medium (company websites)`);
   
   return tagged;
 }
 
 /**
  * STEP 3: QUICK FIT FILTER - Score companies for DIRECT fit OR 2nd/3rd order relevance
- * THRESHOLD: 7+ to pass (strict quality bar)
+ * THRESHOLD: 7+ to pass by default (strict quality bar) - config.fit_threshold
+ * Stage wording comes from the run's stage profile
  */
-const FIT_FILTER_PROMPT = `You are an ELITE seed-stage VC partner evaluating companies for thesis fit. Be STRICT - you have a legendary reputation for quality deal flow.
+const fitFilterPrompt = (profile) => `You are an ELITE ${profile.investor} evaluating companies for thesis fit. Be STRICT - you have a legendary reputation for quality deal flow.
 
 Score each company (1-10) based on relevance to the thesis OR its adjacent themes:
 
@@ -391,93 +448,130 @@ SCORING GUIDE (be strict, not generous):
 - 1-4: NO FIT - Not relevant, wrong stage, or wrong market
 
 BE SKEPTICAL. Ask yourself:
-- Would a top-tier seed fund actually consider this for THIS thesis?
-- Is this company actually early-stage (seed/Series A)?
+- Would a top-tier ${profile.fund} actually consider this for THIS thesis?
+- Is this company actually ${profile.focus}?
 - Does the company's core product directly relate to the thesis?
 
 If you're unsure, score LOWER not higher. Quality over quantity.
 
-Return JSON only:
+Call the record_fit_scores tool with a score for EVERY company:
 {
   "scores": [
     {"name": "Company Name", "fit_score": 8, "fit_type": "direct|2nd_order|3rd_order", "reason": "1 sentence why"}
   ]
 }`;
 
-async function quickFitFilter(thesis, companies, searchTerms, progressCallback) {
+const FIT_SCORES_TOOL = {
+  name: 'record_fit_scores',
+  description: 'Record a thesis fit score for every company in the list',
+  input_schema: {
+    type: 'object',
+    properties: {
+      scores: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            fit_score: { type: 'integer', minimum: 1, maximum: 10 },
+            fit_type: { type: 'string', enum: ['direct', '2nd_order', '3rd_order'] },
+            reason: { type: 'string' },
+          },
+          required: ['name', 'fit_score', 'fit_type', 'reason'],
+        },
+      },
+    },
+    required: ['scores'],
+  },
+};
+
+// Companies per fit-filter call - the scores for a batch fit well inside max_tokens - and
+// fit-filter calls in flight at once
+const FIT_BATCH_SIZE = 25;
+const FIT_CONCURRENCY = 3;
+
+async function quickFitFilter(thesis, companies, searchTerms, progressCallback, { threshold = 7, profile = stageProfile(), region = null, signal, onReject = () => {} } = {}) {
   if (companies.length === 0) return [];
   
   progressCallback(`Quick-scoring ${companies.length} companies for thesis + adjacent theme fit...`);
 
-  // Prepare compact company list with discovery source
-  const companyList = companies.map(c => {
-    let line = `- ${c.name}: ${(c.description || '').slice(0, 80)}`;
-    if (c.discovered_via_theme) line += ` [found via: ${c.discovered_via_theme}]`;
-    return line;
-  }).join('\n');
-
   // Extract theme strings for context
   const themeStrings = (searchTerms.adjacent_themes || []).map(t => 
     typeof t === 'string' ? t : `${t.theme} (${t.order || '2nd order'})`
   ).filter(Boolean);
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2048,
-    messages: [{
-      role: 'user',
-      content: `${FIT_FILTER_PROMPT}
+  const scoreBatch = async (batch) => {
+    // Prepare compact company list with discovery source
+    const companyList = batch.map(c => {
+      let line = `- ${c.name}: ${(c.description || '').slice(0, 80)}`;
+      if (region && c.headquarters) line += ` [HQ: ${c.headquarters}]`;
+      if (c.discovered_via_theme) line += ` [found via: ${c.discovered_via_theme}]`;
+      return line;
+    }).join('\n');
 
-THESIS: "${thesis}"
+    const result = await callStructured({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 4096,
+      prompt: `${fitFilterPrompt(profile)}
 
+THESIS: "${thesis}"
+${region ? `\nGEOGRAPHIC FOCUS: ${region.label} - score companies clearly based elsewhere as NO FIT\n` : ''}
 ADJACENT THEMES (2nd/3rd order effects to also consider):
 ${themeStrings.join('\n')}
 
 COMPANIES TO SCORE:
-${companyList}`
-    }],
-  });
+${companyList}`,
+      tool: FIT_SCORES_TOOL,
+      validate: ({ scores }) => checkCompanyNames(scores, batch, '$.scores'),
+    }, { signal });
+    return result.scores;
+  };
 
-  const text = response.content[0].text;
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) {
-    // If parsing fails, return all companies unfiltered
-    console.warn('Fit filter parsing failed, returning all companies');
-    return companies;
+  const batches = [];
+  for (let i = 0; i < companies.length; i += FIT_BATCH_SIZE) {
+    batches.push(companies.slice(i, i + FIT_BATCH_SIZE));
+  }
+  const scores = [];
+  for await (const { value } of mapConcurrent(batches, FIT_CONCURRENCY, scoreBatch)) {
+    scores.push(...value);
   }
 
-  const result = JSON.parse(jsonMatch[0]);
   const scoreMap = new Map();
-  for (const score of result.scores || []) {
+  for (const score of scores) {
     scoreMap.set(score.name.toLowerCase(), { 
       fit_score: score.fit_score, 
-      fit_type: score.fit_type || 'direct',
+      fit_type: score.fit_type,
       reason: score.reason 
     });
   }
 
-  // Filter and annotate companies (STRICT: threshold 7+)
-  const filtered = companies
-    .map(c => {
-      const scoreData = scoreMap.get(c.name.toLowerCase());
-      return {
-        ...c,
-        fit_score: scoreData?.fit_score || 5,
-        fit_type: scoreData?.fit_type || 'direct', // direct, 2nd_order, 3rd_order
-        fit_reason: scoreData?.reason || '',
-      };
-    })
-    .filter(c => c.fit_score >= 7)  // STRICT: Only keep fit_score >= 7
+  // Filter and annotate companies (STRICT: threshold 7+ unless configured)
+  const scored = companies.map(c => {
+    const scoreData = scoreMap.get(c.name.toLowerCase());
+    return {
+      ...c,
+      fit_score: scoreData?.fit_score || 5,
+      fit_type: scoreData?.fit_type || 'direct', // direct, 2nd_order, 3rd_order
+      fit_reason: scoreData?.reason || '',
+    };
+  });
+  for (const c of scored.filter(c => c.fit_score < threshold)) {
+    onReject(c, `Fit score ${c.fit_score} below ${threshold}${c.fit_reason ? `: ${c.fit_reason}` : ''}`);
+  }
+  const filtered = scored
+    .filter(c => c.fit_score >= threshold)  // STRICT: Only keep fit_score >= threshold
     .sort((a, b) => b.fit_score - a.fit_score);  // Sort by fit score
 
-  progressCallback(`${filtered.length} companies passed fit filter (score >= 7)`);
+  progressCallback(`${filtered.length} companies passed fit filter (score >= ${threshold})`);
   return filtered;
 }
 
 /**
  * STEP 4: DEEP ANALYSIS - Only for companies that passed the fit filter
+ * Extra rubric dimensions (market size, traction, ... see lib/scoring.js) are scored here too;
+ * lib/scoring.js turns all of it into total_score
  */
-const ANALYSIS_PROMPT = `You are an ELITE seed-stage VC partner writing investment memos for REAL investment decisions.
+const analysisPrompt = (profile, dimensions) => `You are an ELITE ${profile.investor} writing investment memos for REAL investment decisions.
 
 ⚠️ ACCURACY IS CRITICAL - Real money will be invested based on this analysis.
 
@@ -504,10 +598,12 @@ For each company, write:
    - Flag ANY concerns about data accuracy
 2. Scores (1-10, be conservative):
    - thesis_relevance: Based on the description provided
-   - recency: From founding date (10 = 2023+, 5 = 2020-2022, 1 = older/unknown)
-   - founding_team: Default 5 unless you have verified info
+   - recency: ${profile.recency_guide}
+   - founding_team: Use the researched founding team score when one is given; otherwise judge the founders listed (domain expertise, prior startups/exits) - 5 if no founders are listed
+3. dimension_scores (1-10 each, 5 if you can't tell):
+${dimensions.map(d => `   - ${d.key} (${d.label}): ${d.guide}`).join('\n')}
 
-Return JSON:
+Call the record_analysis tool with:
 {
   "analyzed_companies": [
     {
@@ -516,24 +612,76 @@ Return JSON:
       "thesis_relevance": 8,
       "recency": 7,
       "founding_team": 5,
+      "dimension_scores": { ${dimensions.map(d => `"${d.key}": 6`).join(', ')} },
       "website": "https://company.com if you know it",
       "crunchbase_url": "https://crunchbase.com/organization/company if you know it"
     }
-  ],
-  "synthesis": "1-2 paragraphs synthesizing the overall landscape and key opportunities"
+  ]
 }`;
 
-async function analyzeCompanies(thesis, companies, searchTerms, progressCallback) {
-  if (companies.length === 0) {
-    return { analyzed_companies: [], synthesis: 'No companies found to analyze.' };
-  }
+const scoreField = { type: 'integer', minimum: 1, maximum: 10 };
+
+const analysisTool = (dimensions) => ({
+  name: 'record_analysis',
+  description: 'Record the investment analysis of each company',
+  input_schema: {
+    type: 'object',
+    properties: {
+      analyzed_companies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            writeup: { type: 'string' },
+            thesis_relevance: scoreField,
+            recency: scoreField,
+            founding_team: scoreField,
+            dimension_scores: {
+              type: 'object',
+              properties: Object.fromEntries(dimensions.map(d => [d.key, scoreField])),
+              required: dimensions.map(d => d.key),
+            },
+            website: { type: 'string' },
+            crunchbase_url: { type: 'string' },
+          },
+          required: ['name', 'writeup', 'thesis_relevance', 'recency', 'founding_team', 'dimension_scores'],
+        },
+      },
+    },
+    required: ['analyzed_companies'],
+  },
+});
+
+// Profile lookups in flight at once
+const PROFILE_CONCURRENCY = 4;
+
+// Companies whose founders are researched at once (each is several searches + one Claude call)
+const FOUNDER_CONCURRENCY = 3;
+
+// Companies per analysis call - small enough that writeups never hit max_tokens
+const ANALYSIS_BATCH_SIZE = 4;
 
-  // EXTENDED: Analyze top 12 companies (was 8)
-  const topCompanies = companies.slice(0, 12);
-  progressCallback(`Deep analyzing top ${topCompanies.length} companies...`);
+// Analysis calls in flight at once (override per run with the analysisConcurrency option)
+const DEFAULT_ANALYSIS_CONCURRENCY = Number(process.env.ANALYSIS_CONCURRENCY) || 3;
+
+/**
+ * Funding round -> "2024-03 seed $4.5M led by Acme Ventures"
+ */
+function formatFundingRound(round) {
+  let text = `${round.announced_on?.slice(0, 7) || 'undated'} ${round.investment_type || 'round'}`;
+  if (round.money_raised_usd) text += ` $${(round.money_raised_usd / 1000000).toFixed(1)}M`;
+  if (round.lead_investors?.length) text += ` led by ${round.lead_investors.join(', ')}`;
+  return text;
+}
 
+/**
+ * Analyze one batch of companies
+ * @returns {Promise<Array>} - analyzed_companies for the batch
+ */
+async function analyzeBatch(thesis, batch, searchTerms, { profile = stageProfile(), dimensions = [], signal } = {}) {
   // Prepare company list with data confidence tags
-  const companyList = topCompanies.map(c => {
+  const companyList = batch.map(c => {
     const confidence = (c.data_confidence || 'low').toUpperCase();
     const source = c.data_source || 'unknown';
     let info = `- ${c.name} [${confidence} confidence - ${source}]`;
@@ -542,15 +690,33 @@ async function analyzeCompanies(thesis, companies, searchTerms, progressCallback
     } else {
       info += `\n  Description: (not available - use caution)`;
     }
+    if (c.search_snippet) info += `\n  Search snippet: "${c.search_snippet}"`;
     if (c.website) info += `\n  Website: ${c.website}`;
+    if (c.website_content?.title) info += ` ("${c.website_content.title}")`;
     if (c.founded_year) info += `\n  Founded: ${c.founded_year}`;
-    if (c.funding_total) info += `\n  Raised: $${(c.funding_total / 1000000).toFixed(1)}M`;
+    if (c.funding_total_usd) info += `\n  Raised: $${(c.funding_total_usd / 1000000).toFixed(1)}M`;
     if (c.last_funding_type) info += ` (${c.last_funding_type})`;
+    if (c.employee_range) info += `\n  Employees: ${c.employee_range}`;
+    if (c.headquarters) info += `\n  HQ: ${c.headquarters}`;
+    if (c.founders?.length) {
+      info += `\n  Founders: ${c.founders.map(f => f.title ? `${f.name} (${f.title})` : f.name).join(', ')}`;
+    }
+    if (researchedTeamScore(c.founding_team_evidence) !== null) {
+      info += `\n  Founding team (researched): ${c.founding_team_evidence.score}/10 - ${c.founding_team_evidence.rationale}`;
+    } else if (c.founding_team_evidence) {
+      info += `\n  Founding team research: too little evidence to score - ${c.founding_team_evidence.rationale}`;
+    }
+    if (c.funding_rounds?.length) {
+      info += `\n  Funding rounds: ${c.funding_rounds.slice(0, 4).map(formatFundingRound).join('; ')}`;
+    }
+    if (c.investors?.length) {
+      info += `\n  Investors: ${c.investors.slice(0, 8).map(i => i.lead ? `${i.name} (lead)` : i.name).join(', ')}`;
+    }
     if (c.sources && c.sources[0]?.url) info += `\n  Source: ${c.sources[0].url}`;
     return info;
   }).join('\n\n');
 
-  const prompt = `${ANALYSIS_PROMPT}
+  const prompt = `${analysisPrompt(profile, dimensions)}
 
 INVESTMENT THESIS: "${thesis}"
 
@@ -566,75 +732,341 @@ For each company:
 2. Analyze based on the description provided
 3. Note confidence level in your assessment`;
 
-  const response = await anthropic.messages.create({
+  const result = await callStructured({
     model: 'claude-sonnet-4-20250514',
-    max_tokens: 7000, // Extended for 12 companies
-    messages: [{ role: 'user', content: prompt }],
-  });
+    max_tokens: 4096,
+    prompt,
+    tool: analysisTool(dimensions),
+    validate: ({ analyzed_companies }) => checkCompanyNames(analyzed_companies, batch, '$.analyzed_companies'),
+  }, { signal });
+  return result.analyzed_companies;
+}
 
-  const text = response.content[0].text;
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) throw new Error('Failed to parse analysis response');
-  
-  return JSON.parse(jsonMatch[0]);
+/**
+ * STEP 4b: SYNTHESIS - one pass over every analyzed company once all batches are done
+ */
+const SYNTHESIS_TOOL = {
+  name: 'record_synthesis',
+  description: 'Record the landscape synthesis',
+  input_schema: {
+    type: 'object',
+    properties: {
+      synthesis: { type: 'string' },
+    },
+    required: ['synthesis'],
+  },
+};
+
+async function synthesizeLandscape(thesis, companies, searchTerms, { profile = stageProfile(), signal } = {}) {
+  if (companies.length === 0) return 'No companies found to analyze.';
+
+  const companyList = companies.map(c =>
+    `- ${c.name} (${c.fit_type || 'direct'}; relevance ${c.thesis_relevance}/10, recency ${c.recency}/10): ${(c.writeup || '').slice(0, 400)}`
+  ).join('\n');
+
+  const result = await callStructured({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 1500,
+    prompt: `You are an ELITE ${profile.investor}. Below are analyses of every company found for an investment thesis.
+
+Write 1-2 paragraphs synthesizing the overall landscape and key opportunities: where the strongest companies cluster, which 2nd/3rd order plays stand out, and what gaps remain. Only mention companies from the list.
+
+INVESTMENT THESIS: "${thesis}"
+
+THESIS CONTEXT:
+${searchTerms.thesis_summary}
+
+ANALYZED COMPANIES:
+${companyList}`,
+    tool: SYNTHESIS_TOOL,
+  }, { signal });
+  return result.synthesis;
+}
+
+/**
+ * Combine a company's discovery data with its analysis and score it (see lib/scoring.js)
+ */
+function mergeAnalysis(realCompany, analyzed, { profile, rubric }) {
+  return {
+    name: analyzed.name,
+    description: realCompany.description || analyzed.description, // ALWAYS prefer real Crunchbase data
+    writeup: analyzed.writeup || '',
+    // thesis_relevance, recency, founding_team, total_score, score_breakdown
+    ...scoreCompany(realCompany, analyzed, { profile, rubric }),
+    // Preserve real data
+    website: realCompany.website || analyzed.website,
+    x_url: realCompany.x_url || null,
+    crunchbase_url: realCompany.crunchbase_url || (realCompany.crunchbase_verified 
+      ? `https://www.crunchbase.com/organization/${realCompany.name.toLowerCase().replace(/\s+/g, '-')}`
+      : (analyzed.crunchbase_url || null)),
+    founded_year: realCompany.founded_year || null,
+    last_funding_at: realCompany.last_funding_at || null,
+    headquarters: realCompany.headquarters || null,
+    employee_range: realCompany.employee_range || null,
+    linkedin_url: realCompany.linkedin_url || null,
+    founders: realCompany.founders || [],
+    investors: realCompany.investors || [],
+    funding_rounds: realCompany.funding_rounds || [],
+    founding_team_evidence: realCompany.founding_team_evidence || null,
+    crunchbase_verified: realCompany.crunchbase_verified || false,
+    funding_total_usd: realCompany.funding_total_usd || null,
+    source: realCompany.source,
+    fit_score: realCompany.fit_score,
+    fit_type: realCompany.fit_type || 'direct',
+    discovered_via_theme: realCompany.discovered_via_theme || null,
+    discovery_source: realCompany.discovery_source || 'primary_thesis',
+    // NEW FIELDS: Sources and funding stage
+    funding_stage: realCompany.funding_stage || 'unknown',
+    last_funding_type: realCompany.last_funding_type || null,
+    sources: realCompany.sources || [],
+    // Data quality indicators
+    data_confidence: realCompany.data_confidence || 'low',
+    data_source: realCompany.data_source || 'unknown',
+    website_content: realCompany.website_content || null,
+    // Keyword matching results
+    keyword_matches: realCompany.keyword_matches || 0,
+    matched_keywords: realCompany.matched_keywords || [],
+    relevance_score: realCompany.relevance_score ?? null,
+  };
+}
+
+/**
+ * Analyze one company outside a run - a rejected candidate or a hand-entered company promoted
+ * into a finished thesis. It gets the same enrichment, website, profile, founder research, analysis
+ * and scoring as the pipeline's companies, against the run's stored search terms and config
+ * @param {string} thesis - Investment thesis
+ * @param {Object} candidate - Pipeline candidate, or { name, website, description } entered by hand
+ * @param {Object} options.searchTerms - The run's search_terms checkpoint (thesis summary, themes)
+ * @param {Object} options.config - The run's config
+ * @param {Object} options.providers - Provider registry (defaults to config.sources)
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<Object>} - The merged company, ready for saveCompany()
+ */
+export async function analyzeCandidate(thesis, candidate, { searchTerms = {}, config: runConfig = {}, providers, signal } = {}) {
+  const config = { ...DEFAULT_RUN_CONFIG, ...runConfig };
+  const profile = stageProfile(config.stage);
+  const rubric = rubricOf(config);
+  const { enricher, profiler } = providers || createProviderRegistry(config.sources || undefined);
+
+  let company = { sources: [], ...candidate };
+
+  // Not held to the run's founded_after - promoting is an explicit override of the filters
+  if (enricher && !company.crunchbase_verified) {
+    try {
+      company = { ...company, ...await enricher.enrichByName(company, { signal }), needs_enrichment: false };
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.error(`Enrichment failed for ${company.name}:`, e.message);
+    }
+  }
+
+  [company] = await readWebsites([company], { signal });
+
+  if (profiler && company.crunchbase_verified && company.crunchbase_url) {
+    try {
+      const details = await profiler.fetchProfile(company, { signal });
+      const known = Object.entries(details || {}).filter(([, v]) => v !== null && v !== undefined);
+      company = { ...company, ...Object.fromEntries(known) };
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.error(`Profile fetch failed for ${company.name}:`, e.message);
+    }
+  }
+
+  try {
+    const evidence = await researchFounders(company, { signal });
+    if (evidence) company = { ...company, founding_team_evidence: evidence };
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    console.error(`Founder research failed for ${company.name}:`, e.message);
+  }
+
+  [company] = tagDataQuality([company], () => {});
+  const [analyzed] = await analyzeBatch(thesis, [company], { thesis_summary: '', ...searchTerms }, {
+    profile, dimensions: analysisDimensions(rubric), signal,
+  });
+  return mergeAnalysis(company, analyzed, { profile, rubric });
 }
 
+/**
+ * Pipeline stages in execution order - each stage's output is checkpointed
+ */
+export const PIPELINE_STAGES = [
+  'search_terms',
+  'discovery',
+  'enrichment',
+  'websites',
+  'keyword_filter',
+  'quality_tags',
+  'fit_filter',
+  'profiles',
+  'founders',
+  'analysis',
+  'synthesis',
+  'thesis_sources',
+];
+
 /**
  * Main research flow - SEARCH FIRST (using adjacent themes), FILTER BY FIT, THEN ANALYZE
  * Adjacent themes (2nd/3rd order effects) are generated upfront and used in discovery
+ * @param {string} thesis - Investment thesis
+ * @param {Object} options
+ * @param {Object} options.checkpoints - Checkpoint store ({ load, save }); completed stages are skipped
+ * @param {AbortSignal} options.signal - Cancels outstanding Brave, Crunchbase and Anthropic requests
+ * @param {Object} options.config - Run config (see lib/config.js); missing fields use the defaults
+ * @param {Object} options.providers - Discovery provider registry (defaults to config.sources)
+ * @param {number} options.analysisConcurrency - Max analysis batches in flight
  */
-export async function* runResearch(thesis) {
+export async function* runResearch(thesis, {
+  checkpoints = createMemoryCheckpointStore(),
+  signal,
+  config: runConfig = {},
+  providers,
+  analysisConcurrency = DEFAULT_ANALYSIS_CONCURRENCY,
+} = {}) {
+  const config = { ...DEFAULT_RUN_CONFIG, ...runConfig };
+  const profile = stageProfile(config.stage);
+  const region = getRegion(config.region);
+  const rubric = rubricOf(config);
+  providers = providers || createProviderRegistry(config.sources || undefined);
+
+  const saved = await checkpoints.load();
+  if (saved.size > 0) {
+    const lastStage = PIPELINE_STAGES.filter(s => saved.has(s)).pop();
+    yield { type: 'progress', message: `Resuming run (last completed stage: ${lastStage})...` };
+  }
+
+  // Reuse a stage's saved output, or compute and checkpoint it
+  const stage = async (name, compute) => {
+    if (saved.has(name)) return saved.get(name);
+    signal?.throwIfAborted();
+    const output = await compute();
+    await checkpoints.save(name, output);
+    return output;
+  };
+
+  // A stage that drops candidates: compute gets reject(company, reason), and the rejected
+  // candidates are checkpointed as rejected:<stage> so a resumed run still reports them
+  const rejected = new Map();
+  const filterStage = async (name, compute) => {
+    const key = `rejected:${name}`;
+    const output = await stage(name, async () => {
+      const dropped = new Map();
+      const reject = (company, reason) => {
+        const nameKey = company.name.toLowerCase();
+        if (!dropped.has(nameKey)) dropped.set(nameKey, { ...company, rejection_reason: reason });
+      };
+      const result = await compute(reject);
+      // A company dropped by one search can still be kept from another
+      const kept = new Set(result.map(c => c.name.toLowerCase()));
+      const list = [...dropped.values()].filter(c => !kept.has(c.name.toLowerCase()));
+      await checkpoints.save(key, list);
+      rejected.set(name, list);
+      return result;
+    });
+    if (!rejected.has(name)) rejected.set(name, saved.get(key) || []);
+    return output;
+  };
+  const candidatesEvent = (name) => ({ type: 'candidates', stage: name, data: rejected.get(name) });
+
   yield { type: 'progress', message: 'Analyzing thesis and generating search terms...' };
   
   try {
     // Step 1: Generate search terms
-    const searchTerms = await generateSearchTerms(thesis);
+    const searchTerms = await stage('search_terms', () => generateSearchTerms(thesis, { signal }));
     yield { type: 'progress', message: `Generated ${searchTerms.search_queries.length} search queries` };
     
     // Step 2: AGGRESSIVE search across all sources
-    const realCompanies = await findRealCompanies(searchTerms, (msg) => {
+    const foundCompanies = await filterStage('discovery', (reject) => findRealCompanies(searchTerms, (msg) => {
       // Progress callback - we'll emit events
-    });
-    yield { type: 'progress', message: `Found ${realCompanies.length} companies from Crunchbase + Web` };
+    }, { providers: providers.providers, config, signal, onReject: reject }));
+    yield candidatesEvent('discovery');
+    yield { type: 'progress', message: `Found ${foundCompanies.length} companies from ${providers.providers.map(p => p.label).join(' + ') || 'no sources'}` };
     
-    // Step 2.5: ENRICH web-sourced companies with Crunchbase data (get real URLs)
-    if (isCrunchbaseAvailable()) {
-      const needsEnrichment = realCompanies.filter(c => c.needs_enrichment && !c.crunchbase_verified);
-      if (needsEnrichment.length > 0) {
-        yield { type: 'progress', message: `Enriching ${needsEnrichment.length} web-sourced companies via Crunchbase...` };
-        
-        // Enrich in batches of 5 to avoid rate limits
-        const batchSize = 5;
-        for (let i = 0; i < needsEnrichment.length; i += batchSize) {
-          const batch = needsEnrichment.slice(i, i + batchSize);
-          const enrichPromises = batch.map(async (company) => {
-            try {
-              const enriched = await enrichCompany(company);
-              // Update the company in realCompanies array
-              const idx = realCompanies.findIndex(c => c.name === company.name);
-              if (idx >= 0) {
-                realCompanies[idx] = { ...realCompanies[idx], ...enriched, needs_enrichment: false };
-              }
-            } catch (e) {
-              console.error(`Enrichment failed for ${company.name}:`, e.message);
+    // Step 2.5: ENRICH web-sourced companies with verified data (get real URLs)
+    const { enricher } = providers;
+    const needsEnrichment = enricher
+      ? foundCompanies.filter(c => c.needs_enrichment && !c.crunchbase_verified)
+      : [];
+    if (needsEnrichment.length > 0 && !saved.has('enrichment')) {
+      yield { type: 'progress', message: `Enriching ${needsEnrichment.length} web-sourced companies via ${enricher.label}...` };
+    }
+    const realCompanies = await filterStage('enrichment', async (reject) => {
+      const companies = [...foundCompanies];
+      
+      // Enrich in batches of 5 to avoid rate limits
+      const batchSize = 5;
+      for (let i = 0; i < needsEnrichment.length; i += batchSize) {
+        const batch = needsEnrichment.slice(i, i + batchSize);
+        const enrichPromises = batch.map(async (company) => {
+          try {
+            const enriched = await enricher.enrichByName(company, { signal, foundedAfter: config.founded_after });
+            // Update the company in the companies array
+            const idx = companies.findIndex(c => c.name === company.name);
+            if (idx >= 0) {
+              companies[idx] = { ...companies[idx], ...enriched, needs_enrichment: false };
             }
-          });
-          await Promise.all(enrichPromises);
+          } catch (e) {
+            console.error(`Enrichment failed for ${company.name}:`, e.message);
+          }
+        });
+        await Promise.all(enrichPromises);
+        signal?.throwIfAborted();
+      }
+      // Enrichment can reveal that two web names are the same Crunchbase organization, or that
+      // a web-sourced company is off-stage or headquartered outside the run's region - the
+      // discovery filters are applied again to what enrichment learned
+      if (needsEnrichment.length === 0) return companies;
+      const kept = [];
+      for (const c of resolveEntities(companies)) {
+        const offStage = offStageReason(profile, c);
+        if (offStage) {
+          reject(c, offStage);
+        } else if (inRegion(region, c.headquarters) === false) {
+          reject(c, `Headquartered outside ${region.label} (${c.headquarters})`);
+        } else {
+          kept.push({ ...c, funding_stage: fundingStageOf(profile, c) });
         }
-        
-        const enrichedCount = realCompanies.filter(c => c.crunchbase_verified).length;
-        yield { type: 'progress', message: `Enriched ${enrichedCount} companies with Crunchbase data` };
       }
+      return kept;
+    });
+    yield candidatesEvent('enrichment');
+    if (needsEnrichment.length > 0) {
+      const enrichedCount = realCompanies.filter(c => c.crunchbase_verified).length;
+      yield { type: 'progress', message: `Enriched ${enrichedCount} companies with ${enricher.label} data` };
     }
     
-    // Step 2.5a: KEYWORD MATCHING - Companies must match 4+ thesis keywords
+    // Step 2.4: WEBSITES - summarize what web-sourced companies do from their own sites
+    // (up to config.max_websites, best snippet matches first)
     const thesisKeywords = searchTerms.thesis_keywords || searchTerms.primary_keywords || [];
-    yield { type: 'progress', message: `Filtering companies by ${thesisKeywords.length} thesis keywords (need 4+ matches)...` };
-    const keywordFiltered = filterByKeywordMatch(realCompanies, thesisKeywords, 4, (msg) => {});
-    yield { type: 'progress', message: `${keywordFiltered.length} companies matched 4+ keywords` };
+    const withWebsites = realCompanies.filter(needsWebsite).length;
+    if (withWebsites > 0 && !saved.has('websites')) {
+      const reading = Math.min(withWebsites, config.max_websites);
+      yield { type: 'progress', message: `Reading ${reading} of ${withWebsites} web-sourced company websites...` };
+    }
+    const readCompanies = await stage('websites', () => readWebsites(realCompanies, {
+      maxWebsites: config.max_websites,
+      keywords: thesisKeywords,
+      synonyms: searchTerms.keyword_synonyms,
+      signal,
+    }));
+    const websiteCount = readCompanies.filter(c => c.website_content).length;
+    if (websiteCount > 0) {
+      yield { type: 'progress', message: `Described ${websiteCount} web-sourced companies from their websites` };
+    }
+    
+    // Step 2.5a: KEYWORD MATCHING - Companies must match 4+ thesis keywords (config.min_keyword_matches)
+    const minMatches = config.min_keyword_matches;
+    yield { type: 'progress', message: `Filtering companies by ${thesisKeywords.length} thesis keywords (need ${minMatches}+ matches)...` };
+    const keywordFiltered = await filterStage('keyword_filter', (reject) => filterByKeywordMatch(readCompanies, thesisKeywords, minMatches, (msg) => {}, {
+      synonyms: searchTerms.keyword_synonyms,
+      onReject: reject,
+    }));
+    yield candidatesEvent('keyword_filter');
+    yield { type: 'progress', message: `${keywordFiltered.length} companies matched ${minMatches}+ keywords` };
     
     // Step 2.5b: TAG DATA QUALITY - Mark confidence levels for transparency
-    const taggedCompanies = tagDataQuality(keywordFiltered, (msg) => {});
+    const taggedCompanies = await stage('quality_tags', () => tagDataQuality(keywordFiltered, (msg) => {}));
     yield { type: 'progress', message: `Tagged ${taggedCompanies.length} companies with data confidence levels` };
     
     if (taggedCompanies.length === 0) {
@@ -650,9 +1082,12 @@ export async function* runResearch(thesis) {
       return;
     }
 
-    // Step 3: QUICK FIT FILTER - score for direct fit AND 2nd/3rd order relevance (STRICT: 7+)
-    const filteredCompanies = await quickFitFilter(thesis, taggedCompanies, searchTerms, (msg) => {});
-    yield { type: 'progress', message: `${filteredCompanies.length} companies passed strict fit filter (score >= 7)` };
+    // Step 3: QUICK FIT FILTER - score for direct fit AND 2nd/3rd order relevance (STRICT: config.fit_threshold)
+    const filteredCompanies = await filterStage('fit_filter', (reject) => quickFitFilter(thesis, taggedCompanies, searchTerms, (msg) => {}, {
+      threshold: config.fit_threshold, profile, region, signal, onReject: reject,
+    }));
+    yield candidatesEvent('fit_filter');
+    yield { type: 'progress', message: `${filteredCompanies.length} companies passed strict fit filter (score >= ${config.fit_threshold})` };
 
     if (filteredCompanies.length === 0) {
       yield { type: 'progress', message: 'No companies passed the fit filter for this thesis.' };
@@ -661,68 +1096,134 @@ export async function* runResearch(thesis) {
         data: {
           companies: [],
           public_comps: searchTerms.public_comps || [],
-          summary: `Found ${taggedCompanies.length} companies but none scored 7+ for fit with: ${thesis}`,
+          summary: `Found ${taggedCompanies.length} companies but none scored ${config.fit_threshold}+ for fit with: ${thesis}`,
         }
       };
       return;
     }
 
-    // Step 4: DEEP ANALYSIS - only for filtered companies (EXTENDED: up to 12)
-    yield { type: 'progress', message: `Deep analyzing top ${Math.min(filteredCompanies.length, 12)} companies...` };
-    const analysis = await analyzeCompanies(thesis, filteredCompanies, searchTerms, (msg) => {});
-    
-    // Step 5: Merge real company data with analysis
-    const enrichedCompanies = [];
-    for (const analyzed of analysis.analyzed_companies || []) {
-      // Find matching real company
-      const realCompany = filteredCompanies.find(
-        c => c.name.toLowerCase() === analyzed.name.toLowerCase()
-      );
-      
-      if (realCompany) {
-        const merged = {
-          name: analyzed.name,
-          description: realCompany.description || analyzed.description, // ALWAYS prefer real Crunchbase data
-          writeup: analyzed.writeup || '',
-          thesis_relevance: analyzed.thesis_relevance || 5,
-          recency: analyzed.recency || 5,
-          founding_team: analyzed.founding_team || 5,
-          // Preserve real data
-          website: realCompany.website || analyzed.website,
-          x_url: realCompany.x_url || null,
-          crunchbase_url: realCompany.crunchbase_verified 
-            ? `https://www.crunchbase.com/organization/${realCompany.name.toLowerCase().replace(/\s+/g, '-')}`
-            : (analyzed.crunchbase_url || null),
-          founded_year: realCompany.founded_year || null,
-          crunchbase_verified: realCompany.crunchbase_verified || false,
-          funding_total_usd: realCompany.funding_total || null,
-          source: realCompany.source,
-          fit_score: realCompany.fit_score,
-          fit_type: realCompany.fit_type || 'direct',
-          discovered_via_theme: realCompany.discovered_via_theme || null,
-          // NEW FIELDS: Sources and funding stage
-          funding_stage: realCompany.funding_stage || 'unknown',
-          last_funding_type: realCompany.last_funding_type || null,
-          sources: realCompany.sources || [],
-          // Data quality indicators
-          data_confidence: realCompany.data_confidence || 'low',
-          data_source: realCompany.data_source || 'unknown',
-          // Keyword matching results
-          keyword_matches: realCompany.keyword_matches || 0,
-          matched_keywords: realCompany.matched_keywords || [],
-        };
-        
-        enrichedCompanies.push(merged);
-        yield { type: 'company', data: merged };
+    // Step 3.5: PROFILES - headcount, founders, investors and funding rounds for the companies
+    // going to analysis (up to config.max_analyzed), so the analysis scores real data
+    const toProfile = config.max_analyzed ? filteredCompanies.slice(0, config.max_analyzed) : filteredCompanies;
+    const { profiler } = providers;
+    const profileable = profiler ? toProfile.filter(c => c.crunchbase_verified && c.crunchbase_url) : [];
+    if (profileable.length > 0 && !saved.has('profiles')) {
+      yield { type: 'progress', message: `Fetching ${profileable.length} company profiles from ${profiler.label}...` };
+    }
+    const profiledCompanies = await filterStage('profiles', async (reject) => {
+      for (const c of filteredCompanies.slice(toProfile.length)) {
+        reject(c, `Beyond max_analyzed (${config.max_analyzed}) - fit score ${c.fit_score}`);
       }
+      const profiles = new Map();
+      const fetchProfile = async (company) => {
+        try {
+          return await profiler.fetchProfile(company, { signal });
+        } catch (e) {
+          if (signal?.aborted) throw e;
+          console.error(`Profile fetch failed for ${company.name}:`, e.message);
+          return null;
+        }
+      };
+      for await (const { index, value } of mapConcurrent(profileable, PROFILE_CONCURRENCY, fetchProfile)) {
+        if (value) {
+          // Missing profile fields keep what discovery found
+          const known = Object.entries(value).filter(([, v]) => v !== null && v !== undefined);
+          profiles.set(profileable[index].name, Object.fromEntries(known));
+        }
+      }
+      return toProfile.map(c => profiles.has(c.name) ? { ...c, ...profiles.get(c.name) } : c);
+    });
+    yield candidatesEvent('profiles');
+    if (profileable.length > 0) {
+      const withFounders = profiledCompanies.filter(c => c.founders?.length > 0).length;
+      yield { type: 'progress', message: `Profiled ${profileable.length} companies (${withFounders} with known founders)` };
     }
 
-    // Sort by total score
-    enrichedCompanies.sort((a, b) => {
-      const scoreA = (a.thesis_relevance || 0) + (a.recency || 0) + (a.founding_team || 0);
-      const scoreB = (b.thesis_relevance || 0) + (b.recency || 0) + (b.founding_team || 0);
-      return scoreB - scoreA;
+    // Step 3.6: FOUNDER RESEARCH - founding_team scored from cited evidence (prior companies,
+    // exits, domain experience) instead of a default
+    if (!saved.has('founders')) {
+      yield { type: 'progress', message: `Researching founders of ${profiledCompanies.length} companies...` };
+    }
+    const toAnalyze = await stage('founders', async () => {
+      const evidence = new Array(profiledCompanies.length).fill(null);
+      const research = async (company) => {
+        try {
+          return await researchFounders(company, { signal });
+        } catch (e) {
+          if (signal?.aborted) throw e;
+          console.error(`Founder research failed for ${company.name}:`, e.message);
+          return null;
+        }
+      };
+      for await (const { index, value } of mapConcurrent(profiledCompanies, FOUNDER_CONCURRENCY, research)) {
+        evidence[index] = value;
+      }
+      return profiledCompanies.map((c, i) => evidence[i] ? { ...c, founding_team_evidence: evidence[i] } : c);
     });
+    const researched = toAnalyze.filter(c => researchedTeamScore(c.founding_team_evidence) !== null).length;
+    yield { type: 'progress', message: `Scored the founding team of ${researched}/${toAnalyze.length} companies from evidence` };
+    // Everything left made it through the funnel
+    yield { type: 'candidates', stage: 'analysis', data: toAnalyze };
+
+    // Step 4: DEEP ANALYSIS - profiled companies, in concurrent batches
+    // Each batch is checkpointed as analysis:<n>; company events stream as batches finish
+    const findRealCompany = (analyzed) => toAnalyze.find(
+      c => c.name.toLowerCase() === analyzed.name.toLowerCase()
+    );
+    const enrichedCompanies = [];
+    let analysis = saved.get('analysis');
+
+    if (analysis) {
+      for (const analyzed of analysis.analyzed_companies || []) {
+        const realCompany = findRealCompany(analyzed);
+        if (realCompany) {
+          const merged = mergeAnalysis(realCompany, analyzed, { profile, rubric });
+          enrichedCompanies.push(merged);
+          yield { type: 'company', data: merged };
+        }
+      }
+    } else {
+      const batches = [];
+      for (let i = 0; i < toAnalyze.length; i += ANALYSIS_BATCH_SIZE) {
+        batches.push(toAnalyze.slice(i, i + ANALYSIS_BATCH_SIZE));
+      }
+      yield { type: 'progress', message: `Deep analyzing ${toAnalyze.length} companies in ${batches.length} batches...` };
+
+      const batchResults = new Array(batches.length);
+      let finished = 0;
+      const analyzeOrResume = async (batch, index) => {
+        const key = `analysis:${index}`;
+        if (saved.has(key)) return saved.get(key);
+        const analyzed = await analyzeBatch(thesis, batch, searchTerms, { profile, dimensions: analysisDimensions(rubric), signal });
+        await checkpoints.save(key, analyzed);
+        return analyzed;
+      };
+
+      for await (const { index, value } of mapConcurrent(batches, analysisConcurrency, analyzeOrResume)) {
+        batchResults[index] = value;
+        for (const analyzed of value) {
+          const realCompany = findRealCompany(analyzed);
+          if (realCompany) {
+            const merged = mergeAnalysis(realCompany, analyzed, { profile, rubric });
+            enrichedCompanies.push(merged);
+            yield { type: 'company', data: merged };
+          }
+        }
+        finished++;
+        yield { type: 'progress', message: `Analyzed batch ${finished}/${batches.length}` };
+      }
+
+      // Batch order, not completion order, so the checkpoint is stable
+      analysis = { analyzed_companies: batchResults.flat() };
+      await checkpoints.save('analysis', analysis);
+    }
+
+    // Step 4b: SYNTHESIS over the combined results
+    yield { type: 'progress', message: 'Synthesizing the landscape...' };
+    const synthesis = await stage('synthesis', () => synthesizeLandscape(thesis, enrichedCompanies, searchTerms, { profile, signal }));
+
+    // Sort by total score (weighted per the run's rubric)
+    enrichedCompanies.sort((a, b) => b.total_score - a.total_score);
 
     // Adjacent themes are from initial analysis - they were used in discovery/filtering
     // Normalize format: ensure we return objects with theme, order, rationale
@@ -736,14 +1237,15 @@ export async function* runResearch(thesis) {
     // Count how many companies came from each discovery source
     const directCount = enrichedCompanies.filter(c => c.discovery_source === 'primary_thesis' || !c.discovery_source).length;
     const adjacentCount = enrichedCompanies.filter(c => c.discovery_source === 'adjacent_theme').length;
+    const categoryCount = enrichedCompanies.filter(c => c.discovery_source === 'category').length;
     
-    yield { type: 'progress', message: `Found ${directCount} direct + ${adjacentCount} via 2nd/3rd order themes` };
+    yield { type: 'progress', message: `Found ${directCount} direct + ${adjacentCount} via 2nd/3rd order themes + ${categoryCount} via Crunchbase categories` };
 
     // Step 6: Search for THESIS-VALIDATING sources (patents, research, newsletters)
     yield { type: 'progress', message: 'Searching for thesis-validating sources...' };
     let thesisSources = [];
     if (isWebSearchAvailable()) {
-      thesisSources = await searchThesisSources(thesis, searchTerms.primary_keywords, 8);
+      thesisSources = await stage('thesis_sources', () => searchThesisSources(thesis, searchTerms.primary_keywords, 8, { signal }));
       yield { type: 'progress', message: `Found ${thesisSources.length} validating sources (patents, research, articles)` };
     }
 
@@ -752,17 +1254,20 @@ export async function* runResearch(thesis) {
       data: {
         companies: enrichedCompanies,
         public_comps: searchTerms.public_comps || [],
-        summary: analysis.synthesis || searchTerms.thesis_summary,
+        summary: synthesis || searchTerms.thesis_summary,
         adjacent_themes: adjacentThemes,
         discovery_stats: {
           direct_thesis: directCount,
           adjacent_themes: adjacentCount,
+          category: categoryCount,
         },
         thesis_sources: thesisSources, // NEW: Validating sources for the thesis itself
       }
     };
 
   } catch (error) {
+    // A cancelled run isn't an error - the caller decides how to report it
+    if (signal?.aborted) throw error;
     console.error('Research error:', error);
     yield { type: 'error', message: error.message };
     throw error;
@@ -0,0 +1,423 @@
+import { getDb } from './db.js';
+import { runResearch } from './research.js';
+import { runConfigOf } from './config.js';
+import { createCheckpointStore } from './checkpoints.js';
+import { upsertOrganization } from './organizations.js';
+import { saveCandidates } from './funnel.js';
+
+// Statuses after which a run will not emit any more events
+const TERMINAL_STATUSES = ['complete', 'failed', 'cancelled'];
+
+// Statuses of a run that is waiting for or being executed by the worker (see lib/worker.js)
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// How often a running job records a heartbeat (and checks whether it has been asked to cancel)
+const HEARTBEAT_MS = 3000;
+
+// A running thesis without a heartbeat for this long is considered abandoned
+export const STALE_RUN_MINUTES = 5;
+
+// A run paused at the worker's time limit this many times is failed instead of re-queued
+export const MAX_RUN_ATTEMPTS = 6;
+
+const POLL_INTERVAL_MS = 1000;
+// End an SSE stream before its function's maxDuration; EventSource reconnects with Last-Event-ID
+const STREAM_WINDOW_MS = 50000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+export function isActiveStatus(status) {
+  return ACTIVE_STATUSES.includes(status);
+}
+
+/**
+ * Persist a run event so SSE clients can replay it later
+ * @returns {Promise<Object>} - The stored event row (id is used as the SSE event id)
+ */
+export async function recordEvent(thesisId, type, data) {
+  const sql = getDb();
+  const [event] = await sql`
+    INSERT INTO run_events (thesis_id, type, data)
+    VALUES (${thesisId}, ${type}, ${JSON.stringify(data)}::jsonb)
+    RETURNING id, type, data
+  `;
+  return event;
+}
+
+/**
+ * List events for a thesis run that come after a given event id
+ */
+export async function listEvents(thesisId, afterId = 0, limit = 500) {
+  const sql = getDb();
+  return sql`
+    SELECT id, type, data FROM run_events
+    WHERE thesis_id = ${thesisId} AND id > ${afterId}
+    ORDER BY id ASC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Id of a thesis's latest stored event (0 when it has none)
+ */
+export async function lastEventId(thesisId) {
+  const sql = getDb();
+  const [{ last_id }] = await sql`
+    SELECT COALESCE(MAX(id), 0) AS last_id FROM run_events WHERE thesis_id = ${thesisId}
+  `;
+  return Number(last_id);
+}
+
+/**
+ * Format a stored event as an SSE frame (with id so clients can resume via Last-Event-ID)
+ */
+export function formatSseEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+/**
+ * Save an analyzed company for a thesis, linked to its canonical organization
+ */
+export async function saveCompany(thesisId, data) {
+  const sql = getDb();
+  const organization = await upsertOrganization(data);
+  // Scores come from lib/scoring.js (via runResearch)
+  const thesisRelevance = data.thesis_relevance || 5;
+  const recency = data.recency || 5;
+  const foundingTeam = data.founding_team || 5;
+  const totalScore = data.total_score;
+
+  const [savedCompany] = await sql`
+    INSERT INTO companies (
+      thesis_id, organization_id, name, description, writeup,
+      thesis_relevance, recency, founding_team, total_score,
+      website, x_url, crunchbase_url, founded_year,
+      fit_type, discovered_via_theme,
+      funding_stage, last_funding_type, sources, headquarters,
+      discovery_source, employee_range, linkedin_url,
+      founders, investors, funding_rounds, founding_team_evidence,
+      score_breakdown, relevance_score, matched_keywords, manually_added
+    )
+    VALUES (
+      ${thesisId},
+      ${organization.id},
+      ${data.name},
+      ${data.description || ''},
+      ${data.writeup || ''},
+      ${thesisRelevance},
+      ${recency},
+      ${foundingTeam},
+      ${totalScore},
+      ${data.website || null},
+      ${data.x_url || null},
+      ${data.crunchbase_url || null},
+      ${data.founded_year || null},
+      ${data.fit_type || 'direct'},
+      ${data.discovered_via_theme || null},
+      ${data.funding_stage || 'unknown'},
+      ${data.last_funding_type || null},
+      ${data.sources ? JSON.stringify(data.sources) : null}::jsonb,
+      ${data.headquarters || null},
+      ${data.discovery_source || null},
+      ${data.employee_range || null},
+      ${data.linkedin_url || null},
+      ${JSON.stringify(data.founders || [])}::jsonb,
+      ${JSON.stringify(data.investors || [])}::jsonb,
+      ${JSON.stringify(data.funding_rounds || [])}::jsonb,
+      ${data.founding_team_evidence ? JSON.stringify(data.founding_team_evidence) : null}::jsonb,
+      ${data.score_breakdown ? JSON.stringify(data.score_breakdown) : null}::jsonb,
+      ${data.relevance_score ?? null},
+      ${JSON.stringify(data.matched_keywords || [])}::jsonb,
+      ${data.manually_added || false}
+    )
+    RETURNING *
+  `;
+  return savedCompany;
+}
+
+/**
+ * Record heartbeats for a running thesis and abort the run's controller on a cancel request
+ * Cancel requests come from a different invocation, so the DB is the only shared channel
+ * @returns {Function} - Stops the heartbeat
+ */
+function startHeartbeat(thesisId, controller) {
+  const sql = getDb();
+  const timer = setInterval(async () => {
+    try {
+      const [row] = await sql`
+        UPDATE theses SET heartbeat_at = NOW()
+        WHERE id = ${thesisId}
+        RETURNING cancel_requested_at
+      `;
+      if (row?.cancel_requested_at) {
+        controller.abort(new Error('Run cancelled'));
+      }
+    } catch (e) {
+      console.error('Heartbeat failed:', e.message);
+    }
+  }, HEARTBEAT_MS);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Mark a running thesis as failed, keeping the reason
+ * Keyed on thesis id - never on thesis text, which several runs can share
+ */
+export async function markRunFailed(thesisId, reason) {
+  const sql = getDb();
+  const [failed] = await sql`
+    UPDATE theses SET status = 'failed', error_message = ${reason}
+    WHERE id = ${thesisId} AND status = 'running'
+    RETURNING id
+  `;
+  return !!failed;
+}
+
+/**
+ * Fail running theses whose job stopped sending heartbeats (killed by a timeout or a crash)
+ * @param {number} staleMinutes - Minutes without a heartbeat before a run counts as abandoned
+ * @returns {Promise<Array>} - Reaped theses with the reason recorded
+ */
+export async function reapStaleRuns(staleMinutes = STALE_RUN_MINUTES) {
+  const sql = getDb();
+  const stale = await sql`
+    SELECT id, thesis, started_at, heartbeat_at FROM theses
+    WHERE status = 'running'
+      AND COALESCE(heartbeat_at, started_at, created_at) < NOW() - (${staleMinutes}::int * INTERVAL '1 minute')
+    ORDER BY id ASC
+  `;
+
+  const reaped = [];
+  for (const thesis of stale) {
+    const lastSeen = thesis.heartbeat_at || thesis.started_at;
+    const reason = lastSeen
+      ? `Run abandoned: no heartbeat since ${new Date(lastSeen).toISOString()}`
+      : 'Run abandoned: job never started';
+
+    if (await markRunFailed(thesis.id, reason)) {
+      // Let SSE clients following the run see it end
+      await recordEvent(thesis.id, 'error', { message: reason });
+      reaped.push({ id: thesis.id, thesis: thesis.thesis, reason });
+    }
+  }
+  return reaped;
+}
+
+/**
+ * Put a run that hit its deadline back in the queue - it resumes from its checkpoints on the
+ * worker's next pass. A cancel requested meanwhile, or too many attempts, ends it instead
+ * @returns {Promise<string>} - The run's new status
+ */
+async function requeueRun(thesisRow, emit) {
+  const sql = getDb();
+  if ((thesisRow.run_attempts || 0) >= MAX_RUN_ATTEMPTS) {
+    const reason = `Run did not finish within ${MAX_RUN_ATTEMPTS} worker passes`;
+    await emit('error', { message: reason });
+    await markRunFailed(thesisRow.id, reason);
+    return 'failed';
+  }
+  const [requeued] = await sql`
+    UPDATE theses SET status = 'queued'
+    WHERE id = ${thesisRow.id} AND status = 'running' AND cancel_requested_at IS NULL
+    RETURNING id
+  `;
+  if (!requeued) return null;
+  await emit('progress', { message: 'Paused at the worker time limit - continuing from the last completed stage' });
+  return 'queued';
+}
+
+/**
+ * Execute a research run for an existing thesis row (called by the worker, see lib/worker.js)
+ * Every event is written to run_events before being handed to onEvent; clients follow the
+ * run through GET /api/thesis/:id/events
+ * Stage outputs are checkpointed in run_stages, so re-executing a paused or failed run
+ * resumes from the last completed stage
+ * @param {Object} thesisRow - Row from the theses table
+ * @param {Object} options
+ * @param {Function} options.onEvent - Called with each stored event
+ * @param {boolean} options.resume - Continue a previous attempt of this run
+ * @param {number} options.deadline - Epoch ms to pause the run at and re-queue it
+ */
+export async function executeRun(thesisRow, { onEvent = () => {}, resume = false, deadline = null } = {}) {
+  const sql = getDb();
+  const thesisId = thesisRow.id;
+  const companies = [];
+  let errorRecorded = false;
+
+  // Companies saved by an earlier attempt are replayed from the analysis checkpoint - don't save them twice
+  const existingByName = new Map();
+
+  const controller = new AbortController();
+  let stopHeartbeat = () => {};
+
+  // Aborting with this reason pauses the run instead of cancelling it
+  const pause = new Error('Run paused at the worker time limit');
+  const pauseTimer = deadline
+    ? setTimeout(() => controller.abort(pause), Math.max(deadline - Date.now(), 0))
+    : null;
+
+  const emit = async (type, data) => {
+    const event = await recordEvent(thesisId, type, data);
+    onEvent(event);
+    return event;
+  };
+
+  try {
+    await sql`
+      UPDATE theses SET
+        started_at = COALESCE(started_at, NOW()),
+        heartbeat_at = NOW(),
+        error_message = NULL
+      WHERE id = ${thesisId}
+    `;
+    stopHeartbeat = startHeartbeat(thesisId, controller);
+
+    if (resume) {
+      const existing = await sql`SELECT * FROM companies WHERE thesis_id = ${thesisId}`;
+      for (const company of existing) {
+        existingByName.set(company.name.toLowerCase(), company);
+      }
+    }
+
+    await emit('start', { thesis_id: thesisId, thesis: thesisRow.thesis, resumed: resume });
+
+    const checkpoints = createCheckpointStore(thesisId);
+    const config = runConfigOf(thesisRow);
+    for await (const event of runResearch(thesisRow.thesis, { checkpoints, config, signal: controller.signal })) {
+      if (event.type === 'progress') {
+        await emit('progress', { message: event.message });
+      } else if (event.type === 'candidates') {
+        // Funnel audit rows - stored, not streamed (GET /api/thesis/:id/funnel)
+        await saveCandidates(thesisId, event.stage, event.data);
+      } else if (event.type === 'company') {
+        const existing = existingByName.get(event.data.name.toLowerCase());
+        if (existing) {
+          companies.push(existing);
+          continue;
+        }
+        const savedCompany = await saveCompany(thesisId, event.data);
+        companies.push(savedCompany);
+        await emit('company', savedCompany);
+      } else if (event.type === 'complete') {
+        // Update thesis with summary, public comps, adjacent themes, and thesis sources
+        const adjacentThemes = event.data.adjacent_themes || [];
+        const discoveryStats = event.data.discovery_stats || null;
+        const thesisSources = event.data.thesis_sources || [];
+
+        // Record the event before flipping status so stream readers never miss it
+        await emit('complete', {
+          thesis_id: thesisId,
+          summary: event.data.summary,
+          public_comps: event.data.public_comps,
+          adjacent_themes: adjacentThemes,
+          thesis_sources: thesisSources,
+          company_count: companies.length
+        });
+
+        // JSONB columns need the object passed directly (neon driver handles conversion)
+        // or cast explicitly with ::jsonb
+        await sql`
+          UPDATE theses SET
+            status = 'complete',
+            completed_at = NOW(),
+            summary = ${event.data.summary || ''},
+            public_comps = ${event.data.public_comps || []},
+            adjacent_themes = ${JSON.stringify(adjacentThemes)}::jsonb,
+            discovery_stats = ${discoveryStats ? JSON.stringify(discoveryStats) : null}::jsonb,
+            thesis_sources = ${thesisSources.length > 0 ? JSON.stringify(thesisSources) : null}::jsonb
+          WHERE id = ${thesisId}
+        `;
+      } else if (event.type === 'error') {
+        errorRecorded = true;
+        await emit('error', { message: event.message });
+      }
+    }
+  } catch (error) {
+    if (controller.signal.reason === pause) {
+      try {
+        if (await requeueRun(thesisRow, emit)) return companies;
+      } catch (e) {
+        console.error('Failed to re-queue paused run:', e.message);
+        return companies;
+      }
+      // Cancelled while it was running - fall through and record the cancellation
+    }
+    if (controller.signal.aborted) {
+      // Companies saved so far are kept
+      try {
+        await emit('cancelled', { thesis_id: thesisId, company_count: companies.length });
+        await sql`UPDATE theses SET status = 'cancelled', completed_at = NOW() WHERE id = ${thesisId}`;
+      } catch (e) {
+        console.error('Failed to record run cancellation:', e.message);
+      }
+      return companies;
+    }
+
+    console.error('Thesis run error:', error);
+
+    try {
+      if (!errorRecorded) {
+        await emit('error', { message: error.message });
+      }
+      await markRunFailed(thesisId, error.message);
+    } catch (e) {
+      console.error('Failed to record run failure:', e.message);
+    }
+  } finally {
+    clearTimeout(pauseTimer);
+    stopHeartbeat();
+  }
+
+  return companies;
+}
+
+/**
+ * Stream a thesis run's stored events as SSE, then tail new ones until the run finishes
+ * The stream ends after STREAM_WINDOW_MS so it stays inside the function's maxDuration;
+ * EventSource reconnects to GET /api/thesis/:id/events with Last-Event-ID
+ * @param {number} options.after - Only events after this id (exclusive)
+ */
+export async function followRun(req, res, thesisId, { after = 0 } = {}) {
+  const sql = getDb();
+  let cursor = after;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.write(`retry: 3000\n\n`);
+
+  let clientConnected = true;
+  req.on('close', () => {
+    clientConnected = false;
+  });
+
+  try {
+    const startedAt = Date.now();
+    while (clientConnected && Date.now() - startedAt < STREAM_WINDOW_MS) {
+      // Read status BEFORE events: if the run was already finished, every event is stored
+      const [{ status }] = await sql`SELECT status FROM theses WHERE id = ${thesisId}`;
+      const events = await listEvents(thesisId, cursor);
+
+      for (const event of events) {
+        res.write(formatSseEvent(event));
+        cursor = event.id;
+      }
+
+      if (isTerminalStatus(status) && events.length === 0) {
+        break;
+      }
+      if (events.length === 0) {
+        await sleep(POLL_INTERVAL_MS);
+      }
+    }
+  } catch (error) {
+    console.error('Thesis events error:', error);
+    res.write(`event: error\ndata: ${JSON.stringify({ message: error.message })}\n\n`);
+  }
+
+  res.end();
+}
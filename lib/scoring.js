@@ -0,0 +1,204 @@
+// Scoring engine
+// Every company score comes from here: each rubric dimension is scored 1-10 by a documented
+// rule, and total_score is the weighted sum. The per-dimension breakdown is stored with the
+// company (companies.score_breakdown) so scores can be recomputed with new weights later
+// (POST /api/thesis/:id/rescore) without re-running the analysis
+
+import { recencyScore, stageProfile } from './stages.js';
+import { researchedTeamScore } from './founders.js';
+
+/**
+ * Built-in dimensions and how each is scored:
+ *   thesis_relevance - The analysis model's score (fit of the description to the thesis)
+ *   recency          - From Crunchbase dates via the stage profile: founded_year, or
+ *                      last_funding_at for growth (see recencyScore() in lib/stages.js);
+ *                      the analysis model's score when the date is unknown
+ *   founding_team    - The founder-research score from cited evidence (see lib/founders.js);
+ *                      the analysis model's score when the evidence was missing or too thin
+ *   market_size, traction, defensibility - The analysis model's score, per the guide below
+ * Any dimension without a score falls back to 5
+ */
+export const DIMENSIONS = {
+  thesis_relevance: { label: 'Thesis relevance' },
+  recency: { label: 'Recency' },
+  founding_team: { label: 'Founding team' },
+  market_size: {
+    label: 'Market size',
+    guide: '10 = multi-billion dollar market growing fast, 5 = sizable niche, 1 = small or shrinking market',
+  },
+  traction: {
+    label: 'Traction',
+    guide: '10 = clear revenue/customer/usage growth or strong raise signals, 5 = early pilots or some signal, 1 = no evidence of traction',
+  },
+  defensibility: {
+    label: 'Defensibility',
+    guide: '10 = deep tech, proprietary data or network effects, 5 = some differentiation, 1 = easily copied',
+  },
+};
+
+// Default weights keep total_score = thesis_relevance + recency + founding_team
+export const DEFAULT_WEIGHTS = {
+  thesis_relevance: 1,
+  recency: 1,
+  founding_team: 1,
+  market_size: 0,
+  traction: 0,
+  defensibility: 0,
+};
+
+const DIMENSION_KEY = /^[a-z][a-z0-9_]{1,39}$/;
+
+/**
+ * Validate a rubric and fill in default weights
+ * Built-in dimensions take a weight (0-10); team-defined dimensions take
+ * { weight, label, guide } and are scored by the analysis model using the guide
+ * @param {Object} input - e.g. { traction: 2, regulatory_risk: { weight: 1, label: 'Regulatory risk', guide: '...' } }
+ * @returns {Object} - { rubric, errors } - rubric is { weights, custom }
+ */
+export function validateRubric(input) {
+  const errors = [];
+  const weights = { ...DEFAULT_WEIGHTS };
+  const custom = {};
+
+  if (input === undefined || input === null) {
+    return { rubric: { weights, custom }, errors };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { rubric: null, errors: ['rubric must be an object of dimension weights'] };
+  }
+
+  const validWeight = (w) => typeof w === 'number' && Number.isFinite(w) && w >= 0 && w <= 10;
+
+  for (const [key, value] of Object.entries(input)) {
+    if (DIMENSIONS[key]) {
+      if (!validWeight(value)) {
+        errors.push(`rubric.${key} must be a weight from 0 to 10`);
+      } else {
+        weights[key] = value;
+      }
+      continue;
+    }
+    if (!DIMENSION_KEY.test(key)) {
+      errors.push(`rubric.${key}: dimension names must be lowercase snake_case`);
+    } else if (!value || typeof value !== 'object' || !validWeight(value.weight)
+      || typeof value.guide !== 'string' || !value.guide.trim()) {
+      errors.push(`rubric.${key} must be { weight (0-10), label, guide } for a team-defined dimension`);
+    } else {
+      weights[key] = value.weight;
+      custom[key] = { label: value.label || key, guide: value.guide.trim() };
+    }
+  }
+
+  if (Object.values(weights).every(w => w === 0)) {
+    errors.push('rubric needs at least one dimension with a weight above 0');
+  }
+
+  return { rubric: errors.length === 0 ? { weights, custom } : null, errors };
+}
+
+/**
+ * Rubric stored in a run config - configs saved before rubrics existed get the defaults
+ */
+export function rubricOf(config) {
+  return {
+    weights: { ...DEFAULT_WEIGHTS, ...(config?.rubric?.weights || {}) },
+    custom: config?.rubric?.custom || {},
+  };
+}
+
+/**
+ * Dimensions the analysis model scores for a rubric: the built-in guided ones + team-defined ones
+ * @returns {Array} - [{ key, label, guide }]
+ */
+export function analysisDimensions(rubric) {
+  const guided = Object.entries(DIMENSIONS)
+    .filter(([, d]) => d.guide)
+    .map(([key, d]) => ({ key, label: d.label, guide: d.guide }));
+  const custom = Object.entries(rubric.custom).map(([key, d]) => ({ key, label: d.label, guide: d.guide }));
+  return [...guided, ...custom];
+}
+
+const clampScore = (score) => Math.max(1, Math.min(10, Math.round(score)));
+
+/**
+ * Score every dimension for one company
+ * @param {Object} company - Discovery/profile data (founded_year, last_funding_at, founding_team_evidence)
+ * @param {Object} analyzed - Analysis output (thesis_relevance, recency, founding_team, dimension_scores)
+ * @param {Object} options.profile - Stage profile (decides the recency basis)
+ * @param {Object} options.rubric - { weights, custom }
+ * @returns {Object} - { [dimension]: { score, source } }
+ */
+export function scoreDimensions(company, analyzed, { profile = stageProfile(), rubric }) {
+  const fromAnalysis = (value) => (Number.isFinite(value) ? { score: clampScore(value), source: 'analysis' } : null);
+  const fallback = { score: 5, source: 'default' };
+
+  const recency = recencyScore(profile, {
+    founded_year: company.founded_year ? Number(company.founded_year) : null,
+    last_funding_at: company.last_funding_at,
+  });
+  const teamScore = researchedTeamScore(company.founding_team_evidence);
+
+  const dimensions = {
+    thesis_relevance: fromAnalysis(analyzed.thesis_relevance) || fallback,
+    recency: recency !== null
+      ? { score: recency, source: profile.recency === 'last_funding' ? 'last_funding_at' : 'founded_year' }
+      : fromAnalysis(analyzed.recency) || fallback,
+    founding_team: Number.isFinite(teamScore)
+      ? { score: clampScore(teamScore), source: 'founder_research' }
+      : fromAnalysis(analyzed.founding_team) || fallback,
+  };
+
+  for (const { key } of analysisDimensions(rubric)) {
+    dimensions[key] = fromAnalysis(analyzed.dimension_scores?.[key]) || fallback;
+  }
+  return dimensions;
+}
+
+/**
+ * Weighted total over scored dimensions, plus the breakdown stored with the company
+ * @returns {Object} - { total_score, score_breakdown: { dimensions: { [key]: { score, source, weight, weighted } }, total } }
+ */
+export function totalScore(dimensions, rubric) {
+  const breakdown = {};
+  let total = 0;
+  for (const [key, dimension] of Object.entries(dimensions)) {
+    const weight = rubric.weights[key] ?? 0;
+    const weighted = dimension.score * weight;
+    breakdown[key] = { ...dimension, weight, weighted };
+    total += weighted;
+  }
+  const rounded = Math.round(total);
+  return { total_score: rounded, score_breakdown: { dimensions: breakdown, total: rounded } };
+}
+
+/**
+ * Score a company: the three headline dimension columns, total_score and its breakdown
+ */
+export function scoreCompany(company, analyzed, { profile, rubric }) {
+  const dimensions = scoreDimensions(company, analyzed, { profile, rubric });
+  return {
+    thesis_relevance: dimensions.thesis_relevance.score,
+    recency: dimensions.recency.score,
+    founding_team: dimensions.founding_team.score,
+    ...totalScore(dimensions, rubric),
+  };
+}
+
+/**
+ * Recompute a stored company's total with a new rubric, from its stored breakdown
+ * Rows saved before breakdowns existed use their thesis_relevance/recency/founding_team columns
+ * @returns {Object} - { total_score, score_breakdown, missing } - missing lists weighted
+ *   dimensions the company was never scored on
+ */
+export function rescoreCompany(company, rubric) {
+  const stored = company.score_breakdown?.dimensions || {
+    thesis_relevance: { score: company.thesis_relevance || 5, source: 'stored' },
+    recency: { score: company.recency || 5, source: 'stored' },
+    founding_team: { score: company.founding_team || 5, source: 'stored' },
+  };
+  const dimensions = Object.fromEntries(
+    Object.entries(stored).map(([key, { score, source }]) => [key, { score, source }])
+  );
+  const missing = Object.keys(rubric.weights).filter(key => rubric.weights[key] > 0 && !dimensions[key]);
+  return { ...totalScore(dimensions, rubric), missing };
+}
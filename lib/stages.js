@@ -0,0 +1,117 @@
+// Investment stage profiles
+// A run's config.stage picks one. It decides which funding rounds discovery keeps, the
+// Crunchbase funding predicates, how the fit filter and analysis prompts describe the
+// target stage, and how recency is scored
+
+const SERIES_B_PLUS = ['series_b', 'series_c', 'series_d', 'series_e', 'series_f', 'series_g', 'series_h'];
+const PUBLIC = ['ipo', 'post_ipo_equity', 'post_ipo_debt', 'post_ipo_secondary'];
+
+// Rounds the seed profile has always excluded (Series B+, debt, PE, public companies)
+const LATE_STAGE_TYPES = [
+  ...SERIES_B_PLUS,
+  'private_equity', ...PUBLIC,
+  'debt_financing', 'debt', 'secondary_market', 'non_equity_assistance', 'corporate_round',
+  'venture_series_unknown', // Often means late stage
+];
+
+/**
+ * Profile fields:
+ *   label                 - Display name
+ *   investor              - Who the prompts ask Claude to be
+ *   fund                  - The kind of fund that would invest ("Would a top-tier seed fund...")
+ *   focus                 - Stage description used in prompts
+ *   funding_types         - Last funding rounds that define the stage (Crunchbase predicates, funding_stage)
+ *   excluded_funding_types - Last funding rounds dropped during discovery
+ *   require_funding_type  - Keyword searches only return companies whose last round is in funding_types
+ *                           (off for the earliest stages, where many companies have no recorded round)
+ *   founded_after         - Default Crunchbase founded_on lower bound (config.founded_after overrides)
+ *   recency               - 'founding' (younger is better) or 'last_funding' (recent round is better)
+ *   recency_guide         - Recency scoring guide for the analysis prompt
+ */
+export const STAGE_PROFILES = {
+  pre_seed: {
+    label: 'Pre-seed',
+    investor: 'pre-seed investor',
+    fund: 'pre-seed fund',
+    focus: 'pre-seed (first institutional money, little or no priced funding yet)',
+    funding_types: ['pre_seed', 'angel', 'grant', 'convertible_note'],
+    excluded_funding_types: ['seed', 'series_a', ...LATE_STAGE_TYPES],
+    require_funding_type: false,
+    founded_after: '2021-01-01',
+    recency: 'founding',
+    recency_guide: 'From founding date (10 = 2024+, 5 = 2022-2023, 1 = older/unknown)',
+  },
+  seed: {
+    label: 'Seed',
+    investor: 'seed-stage VC partner',
+    fund: 'seed fund',
+    focus: 'early-stage (seed/Series A)',
+    funding_types: ['seed', 'pre_seed', 'angel', 'grant', 'convertible_note', 'series_a'],
+    excluded_funding_types: LATE_STAGE_TYPES,
+    require_funding_type: false,
+    founded_after: '2019-01-01',
+    recency: 'founding',
+    recency_guide: 'From founding date (10 = 2023+, 5 = 2020-2022, 1 = older/unknown)',
+  },
+  series_a: {
+    label: 'Series A',
+    investor: 'Series A VC partner',
+    fund: 'Series A fund',
+    focus: 'Series A (post-seed with early traction, raising or recently raised an A)',
+    funding_types: ['seed', 'series_a'],
+    excluded_funding_types: LATE_STAGE_TYPES,
+    require_funding_type: true,
+    founded_after: '2016-01-01',
+    recency: 'founding',
+    recency_guide: 'From founding date (10 = 2021+, 5 = 2018-2020, 1 = older/unknown)',
+  },
+  growth: {
+    label: 'Growth',
+    investor: 'growth-stage investor',
+    fund: 'growth fund',
+    focus: 'growth-stage (Series B and later, private, scaling revenue)',
+    funding_types: [...SERIES_B_PLUS, 'private_equity', 'corporate_round', 'venture_series_unknown', 'debt_financing'],
+    excluded_funding_types: ['pre_seed', 'angel', 'grant', 'convertible_note', 'seed', ...PUBLIC],
+    require_funding_type: true,
+    founded_after: '2008-01-01',
+    recency: 'last_funding',
+    recency_guide: 'From the latest funding round (10 = raised in the last 12 months, 5 = 1-2 years ago, 1 = older/unknown)',
+  },
+};
+
+export const DEFAULT_STAGE = 'seed';
+
+/**
+ * Profile for a stage name (unknown/missing names get the seed profile)
+ */
+export function stageProfile(stage) {
+  return STAGE_PROFILES[stage] || STAGE_PROFILES[DEFAULT_STAGE];
+}
+
+/**
+ * Recency score (1-10) from real Crunchbase dates, per the profile's recency basis
+ * @param {Object} profile - Stage profile
+ * @param {Object} company - { founded_year, last_funding_at }
+ * @returns {number|null} - null when the date it needs is unknown
+ */
+export function recencyScore(profile, { founded_year, last_funding_at }) {
+  const thisYear = new Date().getFullYear();
+
+  if (profile.recency === 'last_funding') {
+    if (!last_funding_at) return null;
+    const yearsSince = (Date.now() - Date.parse(last_funding_at)) / (365 * 24 * 3600 * 1000);
+    if (Number.isNaN(yearsSince)) return null;
+    if (yearsSince <= 1) return 10;
+    if (yearsSince <= 2) return 7;
+    if (yearsSince <= 3) return 5;
+    return 2;
+  }
+
+  if (!founded_year) return null;
+  const yearsOld = thisYear - founded_year;
+  if (yearsOld <= 1) return 10;
+  if (yearsOld <= 2) return 8;
+  if (yearsOld <= 3) return 6;
+  if (yearsOld <= 5) return 4;
+  return 2;
+}
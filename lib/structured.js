@@ -0,0 +1,175 @@
+// Structured Claude output via tool use
+// The model must answer by calling a single tool whose input_schema describes the result;
+// the input is validated against the schema (plus call-specific checks) and sent back
+// for repair when it doesn't pass
+
+import { createMessage } from './anthropic.js';
+
+// Validation failures (schema or call-specific) before retries run out
+export class StructuredOutputError extends Error {
+  constructor(toolName, errors) {
+    super(`Invalid ${toolName} output after retries: ${errors.slice(0, 5).join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a value against the JSON schema subset used by our tools:
+ * type (object/array/string/integer/number/boolean), properties, required, items,
+ * enum, minimum/maximum, minItems
+ * @returns {Array<string>} - Error messages (empty when valid)
+ */
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...validateSchema(propSchema, value[key], `${path}.${key}`));
+        }
+      }
+      return errors;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+      }
+      return errors;
+    }
+    case 'string':
+      if (typeof value !== 'string') return [`${path} must be a string`];
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return [`${path} must be an integer`];
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return [`${path} must be a number`];
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return [`${path} must be a boolean`];
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum} (got ${value})`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum} (got ${value})`);
+  }
+  return errors;
+}
+
+/**
+ * Call Claude with a forced tool and return the validated tool input
+ * On failure the model gets the errors back (as a tool_result) and tries again;
+ * a response cut off at max_tokens is re-asked with a request to be more concise
+ * @param {Object} request
+ * @param {string} request.model
+ * @param {number} request.max_tokens
+ * @param {string} request.prompt - User prompt
+ * @param {Object} request.tool - { name, description, input_schema }
+ * @param {Function} request.validate - Extra checks: (input) => Array<string> of errors
+ * @param {number} request.maxAttempts - Total attempts including repairs (default 3)
+ * @param {AbortSignal} options.signal - Aborts the request (run cancelled)
+ * @returns {Promise<Object>} - Tool input that passed validation
+ */
+export async function callStructured({ model, max_tokens, prompt, tool, validate = () => [], maxAttempts = 3 }, { signal } = {}) {
+  const messages = [{ role: 'user', content: prompt }];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await createMessage({
+      model,
+      max_tokens,
+      tools: [tool],
+      tool_choice: { type: 'tool', name: tool.name },
+      messages,
+    }, { signal });
+
+    const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+
+    if (response.stop_reason === 'max_tokens' || !toolUse) {
+      errors = [response.stop_reason === 'max_tokens'
+        ? `Response was cut off at ${max_tokens} tokens`
+        : `No ${tool.name} tool call in response`];
+      console.warn(`[Structured] ${tool.name} attempt ${attempt}: ${errors[0]}`);
+      // Nothing usable to repair - ask again from the start, tighter
+      messages.splice(1, messages.length - 1);
+      messages[0] = {
+        role: 'user',
+        content: `${prompt}\n\nIMPORTANT: Your previous answer was incomplete (${errors[0]}). Call the ${tool.name} tool with the complete result and keep every text field brief.`,
+      };
+      continue;
+    }
+
+    errors = validateSchema(tool.input_schema, toolUse.input);
+    if (errors.length === 0) {
+      // Call-specific checks assume the shape is right
+      errors = validate(toolUse.input);
+    }
+    if (errors.length === 0) {
+      return toolUse.input;
+    }
+
+    console.warn(`[Structured] ${tool.name} attempt ${attempt}: ${errors.length} validation errors`);
+    messages.push(
+      { role: 'assistant', content: response.content },
+      {
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          is_error: true,
+          content: `The ${tool.name} input is invalid:\n${errors.map(e => `- ${e}`).join('\n')}\n\nCall ${tool.name} again with the full corrected result.`,
+        }],
+      }
+    );
+  }
+
+  throw new StructuredOutputError(tool.name, errors);
+}
+
+/**
+ * Check that every returned name is one of the input companies (and that every input
+ * company is covered). Known names are rewritten to the input's exact spelling
+ * @param {Array} items - Tool output items with a name field
+ * @param {Array} companies - Input companies
+ * @param {string} path - Path used in error messages
+ * @returns {Array<string>} - Errors for unknown and missing names
+ */
+export function checkCompanyNames(items, companies, path) {
+  const byName = new Map(companies.map(c => [c.name.toLowerCase().trim(), c.name]));
+  const errors = [];
+  items.forEach((item, i) => {
+    const name = byName.get((item.name || '').toLowerCase().trim());
+    if (name) {
+      item.name = name;
+    } else {
+      errors.push(`${path}[${i}].name "${item.name}" is not one of the companies provided - only use names from the list`);
+    }
+  });
+
+  const covered = new Set(items.map(item => item.name));
+  const missing = companies.filter(c => !covered.has(c.name)).map(c => c.name);
+  if (missing.length > 0) {
+    errors.push(`Missing companies: ${missing.join(', ')} - include every company from the list`);
+  }
+  return errors;
+}
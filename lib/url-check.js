@@ -0,0 +1,156 @@
+// Company website validation
+// A website only counts as valid when it loads (GET when the server rejects HEAD), isn't a
+// parked or for-sale domain, and actually mentions the company. api/validate-urls.js stores the
+// resulting url_status with url_final (after redirects) and url_checked_at
+// Requests go out live, never through the record/replay harness - a replayed page would say
+// nothing about the site today
+
+import { fetchLivePage, extractPage } from './website.js';
+
+const HEAD_TIMEOUT_MS = 4000;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SeedSyndicateBot/1.0)';
+
+/**
+ * url_status values:
+ *   ok            - Loads and mentions the company
+ *   name_mismatch - Loads, but the page never mentions the company name
+ *   parked        - Parked / placeholder domain
+ *   for_sale      - Domain listed for sale (or redirects to a domain marketplace)
+ *   http_error    - HEAD and GET both returned 4xx/5xx
+ *   timeout       - No response in time
+ *   unreachable   - DNS, TLS or connection failure
+ *   invalid_url   - Not a parseable http(s) URL
+ */
+export const URL_STATUSES = ['ok', 'name_mismatch', 'parked', 'for_sale', 'http_error', 'timeout', 'unreachable', 'invalid_url'];
+
+// Domain marketplaces parked/for-sale domains redirect to
+const MARKETPLACE_HOSTS = [
+  'sedo.com', 'dan.com', 'hugedomains.com', 'afternic.com', 'buydomains.com',
+  'undeveloped.com', 'atom.com', 'squadhelp.com', 'brandbucket.com',
+];
+
+const FOR_SALE_PATTERNS = [
+  /\bdomain (name )?(is|may be) for sale\b/i,
+  /\bbuy this domain\b/i,
+  /\bdomain is available for (purchase|sale)\b/i,
+  /\bmake an offer on this domain\b/i,
+  /\binquire about (buying|purchasing) this domain\b/i,
+];
+
+const PARKED_PATTERNS = [
+  /\bdomain (name )?(is|has been) parked\b/i,
+  /\bparked (free|domain|by)\b/i,
+  /\b(sedoparking|parkingcrew|bodis)\b/i,
+  /\bthis (domain|web ?page) (is|was) (registered|parked) (at|with|by)\b/i,
+  /\bdomain has expired\b/i,
+  /\bfuture home of\b/i,
+];
+
+// Below this much text the page is probably rendered client-side, so its text proves nothing
+const MIN_TEXT_CHARS = 100;
+
+const compact = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Does the page mention the company? Legal suffixes are ignored and spacing/punctuation
+ * don't matter ("Haul Pilot, Inc." matches "HaulPilot")
+ */
+function mentionsCompany(name, page, host) {
+  const key = compact(name.replace(/\b(inc|llc|ltd|corp|co|gmbh|sas|bv)\b\.?/gi, ''));
+  if (!key) return true;
+  const text = compact([page.title, page.meta_description, page.og_title, page.og_description, page.site_name, page.text].join(' '));
+  if (text.includes(key)) return true;
+  // Client-rendered pages have no text to check - fall back to the domain
+  return (page.text || '').length < MIN_TEXT_CHARS && compact(host).includes(key);
+}
+
+async function headRequest(url, { signal } = {}) {
+  const timeout = AbortSignal.timeout(HEAD_TIMEOUT_MS);
+  const response = await fetch(url, {
+    method: 'HEAD',
+    headers: { 'User-Agent': USER_AGENT },
+    redirect: 'follow',
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+  return { status: response.status, url: response.url, type: response.headers.get('content-type') || '' };
+}
+
+const isTimeout = (error) => error?.name === 'TimeoutError' || error?.name === 'AbortError';
+
+/**
+ * Check a company website
+ * @param {string} website - URL (scheme optional)
+ * @param {Object} options.name - Company name the page should mention
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<Object>} - { url_status, url_valid, url_final, http_status, detail }
+ */
+export async function checkUrl(website, { name = '', signal } = {}) {
+  const result = (urlStatus, fields = {}) => ({
+    url_status: urlStatus,
+    url_valid: urlStatus === 'ok',
+    url_final: null,
+    http_status: null,
+    detail: null,
+    ...fields,
+  });
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error(url.protocol);
+  } catch (e) {
+    return result('invalid_url', { detail: `Not a valid URL: ${website}` });
+  }
+
+  // HEAD first. The GET follows only when HEAD fails (servers that reject or ignore HEAD) or
+  // when HEAD found an HTML page whose content has to be inspected
+  const head = await headRequest(url.href, { signal }).catch(error => ({ error }));
+  signal?.throwIfAborted();
+
+  const headHost = head.url && new URL(head.url).hostname.replace(/^www\./, '');
+  const headLoaded = !head.error && head.status < 400;
+  const needsPage = !headLoaded
+    || (head.type.includes('html') && !MARKETPLACE_HOSTS.some(h => headHost === h || headHost.endsWith(`.${h}`)));
+  const page = needsPage
+    ? await fetchLivePage(url.href, { signal }).catch(error => ({ error }))
+    : {};
+  signal?.throwIfAborted();
+
+  if (head.error && page.error) {
+    return isTimeout(page.error)
+      ? result('timeout', { detail: 'No response' })
+      : result('unreachable', { detail: page.error.cause?.code || page.error.message });
+  }
+
+  const finalUrl = page.url || head.url || url.href;
+  const host = new URL(finalUrl).hostname.replace(/^www\./, '');
+  const httpStatus = page.status ?? head.status;
+  const fields = { url_final: finalUrl, http_status: httpStatus };
+
+  if (MARKETPLACE_HOSTS.some(h => host === h || host.endsWith(`.${h}`))) {
+    return result('for_sale', { ...fields, detail: `Redirects to domain marketplace ${host}` });
+  }
+
+  const loaded = (page.status && page.status < 400) || (head.status && head.status < 400);
+  if (!loaded) {
+    return result('http_error', { ...fields, detail: `HTTP ${httpStatus}` });
+  }
+  if (!page.html || page.status >= 400) {
+    // Reachable, but there's no page to inspect (GET failed or returned non-HTML)
+    return result('ok', { ...fields, detail: 'Content not checked' });
+  }
+
+  const content = extractPage(page.html);
+  const text = [content.title, content.meta_description, content.text].join(' ');
+  if (FOR_SALE_PATTERNS.some(p => p.test(text))) {
+    return result('for_sale', { ...fields, detail: content.title || 'Domain for sale page' });
+  }
+  if (PARKED_PATTERNS.some(p => p.test(text))) {
+    return result('parked', { ...fields, detail: content.title || 'Parked domain page' });
+  }
+  if (name && !mentionsCompany(name, content, host)) {
+    return result('name_mismatch', { ...fields, detail: `Page doesn't mention ${name}${content.title ? ` (title: ${content.title})` : ''}` });
+  }
+  return result('ok', fields);
+}
@@ -2,6 +2,8 @@
 // Searches multiple high-signal sources per PLAN.md
 // Falls back gracefully if API key not available
 
+import { recordedFetch, isReplaying } from './recorder.js';
+
 const BRAVE_API_KEY = process.env.BRAVE_API_KEY;
 const BRAVE_BASE_URL = 'https://api.search.brave.com/res/v1/web/search';
 
@@ -9,26 +11,32 @@ const BRAVE_BASE_URL = 'https://api.search.brave.com/res/v1/web/search';
  * Search the web for startups matching keywords
  * @param {string} query - Search query
  * @param {number} count - Number of results (max 20)
+ * @param {AbortSignal} options.signal - Aborts the request (run cancelled)
+ * @param {Object} options.locale - { country, search_lang, label } for region-focused runs (see lib/regions.js);
+ *   the label (a country name) is appended to the query
+ * @param {string} options.freshness - Brave freshness window ('py' = past year, null = any time)
  * @returns {Promise<Array>} - Array of search results
  */
-export async function searchWeb(query, count = 10) {
-  if (!BRAVE_API_KEY) {
+export async function searchWeb(query, count = 10, { signal, locale, freshness = 'py' } = {}) {
+  if (!isWebSearchAvailable()) {
     console.warn('BRAVE_API_KEY not set, skipping web search');
     return [];
   }
 
   try {
     const params = new URLSearchParams({
-      q: query,
+      q: locale?.label ? `${query} ${locale.label}` : query,
       count: Math.min(count, 20),
-      freshness: 'py', // Past year
+      ...(freshness ? { freshness } : {}),
+      ...(locale ? { country: locale.country, search_lang: locale.search_lang } : {}),
     });
 
-    const response = await fetch(`${BRAVE_BASE_URL}?${params}`, {
+    const response = await recordedFetch('brave', `${BRAVE_BASE_URL}?${params}`, {
       headers: {
         'Accept': 'application/json',
         'X-Subscription-Token': BRAVE_API_KEY,
       },
+      signal,
     });
 
     if (!response.ok) {
@@ -44,6 +52,7 @@ export async function searchWeb(query, count = 10) {
       source: 'brave',
     }));
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Brave search failed:', error.message);
     return [];
   }
@@ -57,10 +66,14 @@ export async function searchWeb(query, count = 10) {
  * - TechCrunch stealth launches
  * - arXiv papers with company affiliations
  * - Seed VC portfolios
+ * @param {Array<Object>} options.locales - Brave locales of the run's region; queries rotate
+ *   through them so every country of a multi-country region gets searched
  */
-export async function searchStartups(keywords, limit = 20) {
+export async function searchStartups(keywords, limit = 20, { signal, locales = [] } = {}) {
   const results = [];
   const seen = new Set();
+  let queryCount = 0;
+  const nextLocale = () => locales.length > 0 ? locales[queryCount++ % locales.length] : undefined;
 
   // TIER 1: High-signal startup-specific searches
   const tier1Queries = [
@@ -147,7 +160,8 @@ export async function searchStartups(keywords, limit = 20) {
   // Search TIER 1 first (higher signal)
   console.log(`[WebSearch] Searching TIER 1 sources for: ${keywords}`);
   for (const query of tier1Queries) {
-    const searchResults = await searchWeb(query, 5);
+    signal?.throwIfAborted();
+    const searchResults = await searchWeb(query, 5, { signal, locale: nextLocale() });
     
     for (const result of searchResults) {
       try {
@@ -172,7 +186,8 @@ export async function searchStartups(keywords, limit = 20) {
   if (results.length < limit) {
     console.log(`[WebSearch] Searching TIER 2 sources...`);
     for (const query of tier2Queries) {
-      const searchResults = await searchWeb(query, 5);
+      signal?.throwIfAborted();
+      const searchResults = await searchWeb(query, 5, { signal, locale: nextLocale() });
       
       for (const result of searchResults) {
         try {
@@ -217,7 +232,7 @@ function isNewsOrListSite(domain) {
 }
 
 export function isWebSearchAvailable() {
-  return !!BRAVE_API_KEY;
+  return !!BRAVE_API_KEY || isReplaying();
 }
 
 /**
@@ -231,8 +246,8 @@ export function isWebSearchAvailable() {
  * 
  * FRESHNESS: Only sources from 2022+ (4-year window)
  */
-export async function searchThesisSources(thesis, keywords, limit = 10) {
-  if (!BRAVE_API_KEY) {
+export async function searchThesisSources(thesis, keywords, limit = 10, { signal } = {}) {
+  if (!isWebSearchAvailable()) {
     console.warn('BRAVE_API_KEY not set, skipping thesis source search');
     return [];
   }
@@ -341,7 +356,8 @@ export async function searchThesisSources(thesis, keywords, limit = 10) {
   for (const query of tier1Queries) {
     try {
       // Use freshness filter: 4 years (we're in 2026, so 2022+)
-      const searchResults = await searchWebWithFreshness(query, 3, 'py'); // Past year first, then expand
+      signal?.throwIfAborted();
+      const searchResults = await searchWebWithFreshness(query, 3, 'py', { signal }); // Past year first, then expand
       
       for (const result of searchResults) {
         const urlKey = result.url.toLowerCase();
@@ -365,6 +381,7 @@ export async function searchThesisSources(thesis, keywords, limit = 10) {
         }
       }
     } catch (e) {
+      if (signal?.aborted) throw e;
       console.error(`[ThesisSources] TIER 1 query failed: ${query}`, e.message);
     }
   }
@@ -376,7 +393,8 @@ export async function searchThesisSources(thesis, keywords, limit = 10) {
     console.log(`[ThesisSources] Searching TIER 2 (VC/consulting)...`);
     for (const query of tier2Queries) {
       try {
-        const searchResults = await searchWebWithFreshness(query, 3, 'py');
+        signal?.throwIfAborted();
+        const searchResults = await searchWebWithFreshness(query, 3, 'py', { signal });
         
         for (const result of searchResults) {
           const urlKey = result.url.toLowerCase();
@@ -401,6 +419,7 @@ export async function searchThesisSources(thesis, keywords, limit = 10) {
         }
         if (results.length >= limit) break;
       } catch (e) {
+        if (signal?.aborted) throw e;
         console.error(`[ThesisSources] TIER 2 query failed: ${query}`, e.message);
       }
     }
@@ -412,7 +431,8 @@ export async function searchThesisSources(thesis, keywords, limit = 10) {
     console.log(`[ThesisSources] Searching TIER 3 (backfill)...`);
     for (const query of tier3Queries) {
       try {
-        const searchResults = await searchWebWithFreshness(query, 3, 'py');
+        signal?.throwIfAborted();
+        const searchResults = await searchWebWithFreshness(query, 3, 'py', { signal });
         
         for (const result of searchResults) {
           const urlKey = result.url.toLowerCase();
@@ -437,6 +457,7 @@ export async function searchThesisSources(thesis, keywords, limit = 10) {
         }
         if (results.length >= limit) break;
       } catch (e) {
+        if (signal?.aborted) throw e;
         console.error(`[ThesisSources] TIER 3 query failed: ${query}`, e.message);
       }
     }
@@ -454,9 +475,10 @@ export async function searchThesisSources(thesis, keywords, limit = 10) {
  * @param {string} query - Search query
  * @param {number} count - Number of results
  * @param {string} freshness - 'pd' (day), 'pw' (week), 'pm' (month), 'py' (year), or date range
+ * @param {AbortSignal} options.signal - Aborts the request (run cancelled)
  */
-async function searchWebWithFreshness(query, count = 10, freshness = 'py') {
-  if (!BRAVE_API_KEY) return [];
+async function searchWebWithFreshness(query, count = 10, freshness = 'py', { signal } = {}) {
+  if (!isWebSearchAvailable()) return [];
 
   try {
     const params = new URLSearchParams({
@@ -465,11 +487,12 @@ async function searchWebWithFreshness(query, count = 10, freshness = 'py') {
       freshness: freshness,
     });
 
-    const response = await fetch(`${BRAVE_BASE_URL}?${params}`, {
+    const response = await recordedFetch('brave', `${BRAVE_BASE_URL}?${params}`, {
       headers: {
         'Accept': 'application/json',
         'X-Subscription-Token': BRAVE_API_KEY,
       },
+      signal,
     });
 
     if (!response.ok) {
@@ -485,6 +508,7 @@ async function searchWebWithFreshness(query, count = 10, freshness = 'py') {
       source: 'brave',
     }));
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Brave search failed:', error.message);
     return [];
   }
@@ -0,0 +1,174 @@
+// Company website content
+// Web-sourced candidates only have a search snippet as their description, and the snippet often
+// describes an article rather than the company. This fetches a candidate's homepage and /about
+// page, extracts clean text and metadata (title, meta description, og tags) and has Claude
+// summarize what the company does - the summary then stands in for the snippet
+
+import { recorded } from './recorder.js';
+import { callStructured, checkCompanyNames } from './structured.js';
+
+const FETCH_TIMEOUT_MS = 8000;
+
+// HTML kept per page (cassettes stay small) and clean text kept per page for the summary
+const MAX_HTML_CHARS = 300000;
+const MAX_TEXT_CHARS = 2500;
+
+// Pages fetched per company, after the homepage
+const EXTRA_PATHS = ['/about'];
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SeedSyndicateBot/1.0)';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+|#39);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+const clean = (text) => decodeEntities(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Content of a <meta> tag by name or property (attribute order varies between sites)
+ */
+function metaContent(html, key) {
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    const attr = (name) => tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+    if ((attr('name') || attr('property') || '').toLowerCase() === key) {
+      return clean(attr('content')) || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Metadata and readable text from an HTML page
+ * @returns {Object} - { title, meta_description, og_title, og_description, site_name, text }
+ */
+export function extractPage(html) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(head|script|style|noscript|svg|template|iframe|nav|footer)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ');
+
+  return {
+    title: clean(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1]) || null,
+    meta_description: metaContent(html, 'description'),
+    og_title: metaContent(html, 'og:title'),
+    og_description: metaContent(html, 'og:description'),
+    site_name: metaContent(html, 'og:site_name'),
+    text: clean(body).slice(0, MAX_TEXT_CHARS),
+  };
+}
+
+/**
+ * GET a page live, bypassing the record/replay harness (URL validation must see the site as it is now)
+ * @returns {Promise<Object>} - { status, url (after redirects), html } - html is null for non-HTML responses
+ */
+export async function fetchLivePage(url, { signal } = {}) {
+  const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  const response = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml' },
+    redirect: 'follow',
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+  const type = response.headers.get('content-type') || '';
+  if (!type.includes('html')) {
+    return { status: response.status, url: response.url, html: null };
+  }
+  return { status: response.status, url: response.url, html: (await response.text()).slice(0, MAX_HTML_CHARS) };
+}
+
+/**
+ * GET a page through the record/replay harness
+ * @returns {Promise<Object>} - { status, url (after redirects), html } - html is null for non-HTML responses
+ */
+export async function fetchPage(url, { signal } = {}) {
+  return recorded('website', { method: 'GET', url }, () => fetchLivePage(url, { signal }), { signal });
+}
+
+/**
+ * Fetch and extract a company's homepage and /about page
+ * @param {string} website - Company website (scheme optional)
+ * @returns {Promise<Object|null>} - { url, final_url, title, meta_description, og_title, og_description,
+ *   site_name, text } (text joins both pages), or null when the homepage can't be read
+ */
+export async function fetchCompanyWebsite(website, { signal } = {}) {
+  const url = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+  const home = await fetchPage(url, { signal });
+  if (!home?.html || home.status >= 400) return null;
+
+  const page = extractPage(home.html);
+  const texts = [page.text];
+  for (const path of EXTRA_PATHS) {
+    try {
+      const extra = await fetchPage(new URL(path, home.url || url).href, { signal });
+      if (extra?.html && extra.status < 400) texts.push(extractPage(extra.html).text);
+    } catch (e) {
+      if (signal?.aborted) throw e;
+    }
+  }
+
+  return { url, final_url: home.url || url, ...page, text: texts.filter(Boolean).join('\n\n') };
+}
+
+const WEBSITE_SUMMARY_PROMPT = `You are a VC analyst. Below is text fetched from each company's website (homepage and /about page, with the page title and meta tags).
+
+For each company:
+- describes_company: false if the page is not this company's own site (a parked or for-sale domain, an error page, an unrelated company, a news article)
+- summary: 1-2 factual sentences on what the company does - its product, who it sells to and the problem it solves. Use only the page content; leave it empty when describes_company is false
+
+Call the record_website_summaries tool with an entry for EVERY company.`;
+
+const WEBSITE_SUMMARIES_TOOL = {
+  name: 'record_website_summaries',
+  description: 'Record what each company does, from its website',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summaries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            describes_company: { type: 'boolean' },
+            summary: { type: 'string' },
+          },
+          required: ['name', 'describes_company', 'summary'],
+        },
+      },
+    },
+    required: ['summaries'],
+  },
+};
+
+/**
+ * Summarize what each company does from its fetched website content
+ * @param {Array} companies - [{ name, website_content }] with website_content from fetchCompanyWebsite()
+ * @returns {Promise<Map>} - name -> { describes_company, summary }
+ */
+export async function summarizeWebsites(companies, { signal } = {}) {
+  if (companies.length === 0) return new Map();
+
+  const pages = companies.map(({ name, website_content: site }) => [
+    `### ${name} (${site.final_url})`,
+    site.title && `Title: ${site.title}`,
+    (site.meta_description || site.og_description) && `Meta description: ${site.meta_description || site.og_description}`,
+    site.text && `Text: ${site.text.slice(0, 1500)}`,
+  ].filter(Boolean).join('\n')).join('\n\n');
+
+  const result = await callStructured({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 2048,
+    prompt: `${WEBSITE_SUMMARY_PROMPT}\n\n${pages}`,
+    tool: WEBSITE_SUMMARIES_TOOL,
+    validate: ({ summaries }) => checkCompanyNames(summaries, companies, '$.summaries'),
+  }, { signal });
+
+  return new Map(result.summaries.map(s => [s.name, { describes_company: s.describes_company, summary: s.summary.trim() }]));
+}
@@ -0,0 +1,81 @@
+// Run worker
+// POST /api/thesis/run (and rerun, resume, scheduled monitoring) only queue a run; the worker
+// (GET /api/run-worker, every minute by cron and kicked when a run is queued) claims queued runs
+// and executes them. A run still going at the worker's time limit is paused and re-queued, and
+// the next pass resumes it from its checkpoints - no run is tied to the request that started it
+
+import { getDb } from './db.js';
+import { executeRun, isTerminalStatus } from './runs.js';
+import { finishScheduledRun } from './monitor.js';
+import { cronAuthorization } from './cron.js';
+
+// Time a worker pass spends executing runs - leaves room under the worker's 300s maxDuration
+// to record the pause and re-queue
+export const RUN_TIME_BUDGET_MS = 240000;
+
+// Don't start another run with less time than this left in the pass
+const MIN_RUN_SLICE_MS = 60000;
+
+/**
+ * Claim the oldest queued run (SKIP LOCKED, so concurrent workers never take the same one)
+ * @returns {Promise<Object|null>} - The thesis row, now 'running'
+ */
+async function claimQueuedRun() {
+  const sql = getDb();
+  const [run] = await sql`
+    UPDATE theses SET
+      status = 'running',
+      run_attempts = COALESCE(run_attempts, 0) + 1,
+      heartbeat_at = NOW()
+    WHERE id = (
+      SELECT id FROM theses
+      WHERE status = 'queued'
+      ORDER BY id ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+  return run || null;
+}
+
+/**
+ * Execute queued runs one after another until the queue is empty or the time budget is spent
+ * @returns {Promise<Array>} - { thesis_id, status } per run this pass worked on
+ */
+export async function runQueuedRuns({ budgetMs = RUN_TIME_BUDGET_MS } = {}) {
+  const sql = getDb();
+  const deadline = Date.now() + budgetMs;
+  const results = [];
+
+  while (deadline - Date.now() > MIN_RUN_SLICE_MS) {
+    const run = await claimQueuedRun();
+    if (!run) break;
+
+    // A run that started before (paused, or resumed after failing) keeps the companies it saved
+    await executeRun(run, { resume: !!run.started_at, deadline });
+
+    const [finished] = await sql`SELECT * FROM theses WHERE id = ${run.id}`;
+    const result = { thesis_id: run.id, status: finished.status };
+    if (finished.subscription_id && isTerminalStatus(finished.status)) {
+      try {
+        result.alert = await finishScheduledRun(finished);
+      } catch (error) {
+        console.error(`Alerting failed for scheduled run ${run.id}:`, error.message);
+        result.error = error.message;
+      }
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Start a worker pass now instead of waiting for the cron - fire and forget
+ * (the caller keeps its function alive while it streams the run's events)
+ */
+export function kickWorker(req) {
+  const protocol = req.headers['x-forwarded-proto'] || 'https';
+  fetch(`${protocol}://${req.headers.host}/api/run-worker`, { headers: { Authorization: cronAuthorization() } })
+    .catch(e => console.error('Run worker kick failed:', e.message));
+}
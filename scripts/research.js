@@ -0,0 +1,22 @@
+// Run the research pipeline from the command line, without a database
+// Prints each runResearch() event as a JSON line
+//
+//   RECORD_MODE=record node scripts/research.js "autonomous trucking"   # live, writes cassettes
+//   RECORD_MODE=replay node scripts/research.js "autonomous trucking"   # offline, from cassettes
+
+import { runResearch } from '../lib/research.js';
+
+const thesis = process.argv.slice(2).join(' ').trim();
+if (!thesis) {
+  console.error('Usage: node scripts/research.js "<investment thesis>"');
+  process.exit(1);
+}
+
+try {
+  for await (const event of runResearch(thesis)) {
+    process.stdout.write(JSON.stringify(event) + '\n');
+  }
+} catch (error) {
+  // runResearch() has already yielded an error event for it
+  process.exitCode = 1;
+}
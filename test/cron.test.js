@@ -0,0 +1,37 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import reapRuns from '../api/reap-runs.js';
+import { isCronRequest } from '../lib/cron.js';
+
+const request = (authorization) => ({ method: 'GET', query: {}, headers: authorization ? { authorization } : {} });
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+afterEach(() => { delete process.env.CRON_SECRET; });
+
+test('cron requests must carry the CRON_SECRET bearer token', () => {
+  process.env.CRON_SECRET = 's3cret';
+  assert.equal(isCronRequest(request('Bearer s3cret')), true);
+  assert.equal(isCronRequest(request('Bearer wrong')), false);
+  assert.equal(isCronRequest(request()), false);
+});
+
+test('without CRON_SECRET no request counts as a cron request', () => {
+  assert.equal(isCronRequest(request('Bearer undefined')), false);
+});
+
+test('cron endpoints answer 401 before doing any work', async () => {
+  process.env.CRON_SECRET = 's3cret';
+  const res = response();
+  await reapRuns(request('Bearer wrong'), res);
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(res.body, { error: 'Unauthorized' });
+});
@@ -0,0 +1,86 @@
+// End-to-end discovery over the fixture provider (fixtures/discovery.json), with every other
+// call replayed from fixtures/cassettes - checks which companies a run keeps and why the rest drop
+
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRegion } from '../lib/regions.js';
+
+let runResearch;
+let createFixtureProvider;
+
+before(async () => {
+  process.env.RECORD_MODE = 'replay';
+  process.env.DISCOVERY_PROVIDERS = 'fixture';
+  delete process.env.CASSETTE_DIR;
+  delete process.env.DISCOVERY_FIXTURES;
+  // Pinned to the recording date (see test/replay.test.js)
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+  ({ runResearch } = await import('../lib/research.js'));
+  ({ createFixtureProvider } = await import('../lib/providers/fixture.js'));
+});
+
+test('a fixture run keeps on-thesis seed companies and records why the others dropped', async () => {
+  const rejected = {};
+  let complete;
+  for await (const event of runResearch('autonomous trucking')) {
+    if (event.type === 'candidates' && event.stage !== 'analysis') {
+      rejected[event.stage] = event.data.map(c => c.name).sort();
+    }
+    if (event.type === 'complete') complete = event.data;
+  }
+
+  assert.ok(complete, 'run completed');
+  const companies = new Map(complete.companies.map(c => [c.name, c]));
+  assert.deepEqual([...companies.keys()].sort(), ['HaulPilot', 'Relay Lane']);
+
+  assert.deepEqual(rejected.discovery, ['Convoy Legacy Systems', 'Roadmind']);
+  assert.deepEqual(rejected.keyword_filter, ['Dockwise Robotics', 'Lidarly']);
+  assert.deepEqual(rejected.fit_filter, ['FreightGrid']);
+
+  const haulPilot = companies.get('HaulPilot');
+  assert.equal(haulPilot.data_source, 'crunchbase');
+  assert.equal(haulPilot.funding_total_usd, 4500000);
+  assert.equal(haulPilot.funding_stage, 'seed');
+  assert.equal(haulPilot.founding_team, 7);
+  assert.equal(haulPilot.founding_team_evidence.evidence_sufficient, true);
+
+  // Web-sourced: described from its own website, founders never found
+  const relayLane = companies.get('Relay Lane');
+  assert.equal(relayLane.data_source, 'website');
+  assert.match(relayLane.description, /teleoperation/i);
+  assert.equal(relayLane.founding_team_evidence, null);
+  assert.ok(complete.companies.every(c => Number.isFinite(c.total_score)));
+});
+
+test('the fixture provider applies the stage, founding date and region filters', async () => {
+  const provider = createFixtureProvider({
+    organizations: [
+      { name: 'Early', description: 'autonomous trucks', founded_year: '2023', last_funding_type: 'seed', headquarters: 'Austin, Texas, United States' },
+      { name: 'Late', description: 'autonomous trucks', founded_year: '2023', last_funding_type: 'series_c', headquarters: 'Austin, Texas, United States' },
+      { name: 'Old', description: 'autonomous trucks', founded_year: '2012', last_funding_type: 'seed', headquarters: 'Austin, Texas, United States' },
+      { name: 'Abroad', description: 'autonomous trucks', founded_year: '2023', last_funding_type: 'seed', headquarters: 'Berlin, Berlin, Germany' },
+    ],
+  });
+
+  const found = await provider.searchByKeyword('autonomous', {
+    foundedAfter: '2021-01-01',
+    fundingTypes: ['pre_seed', 'seed'],
+    region: getRegion('us'),
+  });
+  assert.deepEqual(found.map(c => c.name), ['Early']);
+  assert.equal(found[0].crunchbase_verified, false);
+});
+
+test('enrichment replaces a web snippet with the Crunchbase description and keeps the snippet', async () => {
+  const provider = createFixtureProvider({
+    organizations: [
+      { name: 'HaulPilot', description: 'Autonomous middle-mile trucking', crunchbase_url: 'https://www.crunchbase.com/organization/haulpilot' },
+    ],
+  });
+  const snippet = 'Ten trucking startups to watch this year';
+
+  const enriched = await provider.enrichByName({ name: 'HaulPilot', description: snippet, website: 'https://haulpilot.example' });
+  assert.equal(enriched.crunchbase_verified, true);
+  assert.equal(enriched.description, 'Autonomous middle-mile trucking');
+  assert.equal(enriched.search_snippet, snippet);
+});
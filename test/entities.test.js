@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanCompanyName, nameKey, isPlausibleCompanyName, extractCompanyFromResult, resolveEntities } from '../lib/entities.js';
+
+test('nameKey strips legal suffixes and generic trailing words, but never the whole name', () => {
+  assert.equal(cleanCompanyName('Acme Robotics, Inc.'), 'Acme Robotics');
+  assert.equal(cleanCompanyName(' “Acme Robotics”. '), 'Acme Robotics');
+  assert.equal(nameKey('Acme AI, Inc.'), 'acme');
+  assert.equal(nameKey('Acme Labs'), 'acme');
+  assert.equal(nameKey('Acme Robotics GmbH'), 'acme robotics');
+  assert.equal(nameKey('AI'), 'ai');
+});
+
+test('isPlausibleCompanyName rejects headlines and page names', () => {
+  assert.equal(isPlausibleCompanyName('HaulPilot'), true);
+  assert.equal(isPlausibleCompanyName('About Us'), false);
+  assert.equal(isPlausibleCompanyName('10 startups to watch'), false);
+  assert.equal(isPlausibleCompanyName('HaulPilot raises $4M'), false);
+  assert.equal(isPlausibleCompanyName('a name with far too many words'), false);
+});
+
+test('extractCompanyFromResult prefers the title segment that matches the site', () => {
+  assert.deepEqual(
+    extractCompanyFromResult({ title: 'Home | HaulPilot AI', url: 'https://www.haulpilot.ai/' }),
+    { name: 'HaulPilot AI', domain: 'haulpilot.ai' },
+  );
+  // An article about a company: the name, but not the publisher's domain
+  assert.deepEqual(
+    extractCompanyFromResult({ title: 'Show HN: Relay Lane - remote truck driving', url: 'https://news.ycombinator.com/item?id=1' }),
+    { name: 'Relay Lane', domain: null },
+  );
+  assert.equal(extractCompanyFromResult({ title: 'Top 10 trucking startups', url: 'https://blog.example/top' }), null);
+});
+
+test('resolveEntities merges candidates sharing a domain, permalink or name', () => {
+  const resolved = resolveEntities([
+    { name: 'HaulPilot', description: 'Trucking startups to watch', website: 'https://haulpilot.ai', crunchbase_verified: false, needs_enrichment: true, sources: [{ url: 'https://blog.example/a' }] },
+    { name: 'HaulPilot Inc.', description: 'Autonomous middle-mile trucking', website: 'www.haulpilot.ai', crunchbase_url: 'https://www.crunchbase.com/organization/haulpilot', crunchbase_verified: true, needs_enrichment: false, founded_year: '2024', sources: [{ url: 'https://www.crunchbase.com/organization/haulpilot' }] },
+    { name: 'Relay Lane AI', website: null, crunchbase_verified: false, sources: [{ url: 'https://news.example/1' }] },
+    { name: 'Relay Lane', website: 'https://relaylane.example', crunchbase_verified: false, sources: [{ url: 'https://relaylane.example' }] },
+  ]);
+
+  assert.equal(resolved.length, 2);
+  const [haulPilot, relayLane] = resolved;
+  assert.equal(haulPilot.name, 'HaulPilot Inc.');
+  assert.equal(haulPilot.description, 'Autonomous middle-mile trucking');
+  assert.equal(haulPilot.founded_year, '2024');
+  assert.equal(haulPilot.needs_enrichment, false);
+  assert.deepEqual(haulPilot.aliases.sort(), ['HaulPilot', 'HaulPilot Inc.']);
+  assert.equal(haulPilot.sources.length, 2);
+  assert.equal(relayLane.website, 'https://relaylane.example');
+  assert.deepEqual(relayLane.aliases, ['Relay Lane AI', 'Relay Lane']);
+});
+
+test('resolveEntities keeps same-named companies with conflicting identifiers apart', () => {
+  const resolved = resolveEntities([
+    { name: 'Cambio', website: 'https://cambio.ai', crunchbase_url: 'https://www.crunchbase.com/organization/cambio-ai' },
+    { name: 'Cambio', website: 'https://cambio.bio', crunchbase_url: 'https://www.crunchbase.com/organization/cambio-bio' },
+  ]);
+  assert.deepEqual(resolved.map(c => c.website), ['https://cambio.ai', 'https://cambio.bio']);
+});
@@ -0,0 +1,47 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDb } from './support/db.js';
+
+let sql;
+let finishScheduledRun;
+
+before(async () => {
+  sql = await createTestDb();
+  ({ finishScheduledRun } = await import('../lib/monitor.js'));
+});
+
+async function createRun(status, companies, { parentId = null, subscriptionId = null } = {}) {
+  const [run] = await sql`
+    INSERT INTO theses (thesis, status, parent_id, subscription_id)
+    VALUES ('autonomous trucking', ${status}, ${parentId}, ${subscriptionId})
+    RETURNING *
+  `;
+  for (const name of companies) {
+    await sql`INSERT INTO companies (thesis_id, name) VALUES (${run.id}, ${name})`;
+  }
+  return run;
+}
+
+test('a company saved by a failed scheduled run is still alerted when a later run completes', async () => {
+  const root = await createRun('complete', ['HaulPilot']);
+  const [subscription] = await sql`
+    INSERT INTO thesis_subscriptions (thesis_id, frequency, next_run_at)
+    VALUES (${root.id}, 'daily', NOW())
+    RETURNING *
+  `;
+
+  const failed = await createRun('failed', ['HaulPilot', 'Relay Lane'], { parentId: root.id, subscriptionId: subscription.id });
+  const partial = await finishScheduledRun(failed);
+  assert.equal(partial.alert_id, null);
+  assert.equal(partial.new_company_count, 0);
+
+  const complete = await createRun('complete', ['HaulPilot', 'Relay Lane'], { parentId: root.id, subscriptionId: subscription.id });
+  const result = await finishScheduledRun(complete);
+  assert.equal(result.new_company_count, 1);
+
+  const [alert] = await sql`SELECT * FROM thesis_alerts WHERE id = ${result.alert_id}`;
+  assert.deepEqual(alert.companies.map(c => c.name), ['Relay Lane']);
+
+  const [updated] = await sql`SELECT last_run_id FROM thesis_subscriptions WHERE id = ${subscription.id}`;
+  assert.equal(updated.last_run_id, complete.id);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRegion, inRegion } from '../lib/regions.js';
+
+test('inRegion matches the headquarters country exactly, not as a substring', () => {
+  assert.equal(inRegion(getRegion('india'), 'Indianapolis, Indiana, United States'), false);
+  assert.equal(inRegion(getRegion('india'), 'Bengaluru, Karnataka, India'), true);
+  assert.equal(inRegion(getRegion('latam'), 'Santa Fe, New Mexico, United States'), false);
+  assert.equal(inRegion(getRegion('latam'), 'Mexico City, Distrito Federal, Mexico'), true);
+  assert.equal(inRegion(getRegion('us'), 'Santa Fe, New Mexico, United States'), true);
+  assert.equal(inRegion(getRegion('europe'), 'Paris, Texas, United States'), false);
+});
+
+test('inRegion resolves country aliases', () => {
+  assert.equal(inRegion(getRegion('us'), 'Austin, TX, USA'), true);
+  assert.equal(inRegion(getRegion('us'), 'Boston, U.S.'), true);
+  assert.equal(inRegion(getRegion('uk'), 'London, UK'), true);
+  assert.equal(inRegion(getRegion('europe'), 'Edinburgh, Scotland'), true);
+  assert.equal(inRegion(getRegion('europe'), 'Amsterdam, The Netherlands'), true);
+  assert.equal(inRegion(getRegion('dach'), 'London, UK'), false);
+});
+
+test('inRegion keeps unknown headquarters unknown and passes everything without a region', () => {
+  assert.equal(inRegion(getRegion('dach'), null), null);
+  assert.equal(inRegion(getRegion('dach'), ''), null);
+  assert.equal(inRegion(null, 'Berlin, Berlin, Germany'), true);
+  assert.equal(inRegion(getRegion('dach'), '  Berlin , Berlin , germany '), true);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stem, tokenize, buildQuery, scoreRelevance } from '../lib/relevance.js';
+
+test('stem gives inflections one stem and leaves exceptions alone', () => {
+  assert.equal(stem('trucks'), stem('trucking'));
+  assert.equal(stem('driving'), stem('drives'));
+  assert.equal(stem('vehicles'), stem('vehicle'));
+  assert.equal(stem('automation'), stem('automate'));
+  assert.equal(stem('companies'), 'company');
+  assert.equal(stem('shipping'), 'ship');
+  assert.equal(stem('install'), 'install');
+  assert.equal(stem('fleeting'), 'fleeting');
+  assert.notEqual(stem('fleeting'), stem('fleet'));
+  assert.equal(stem('series'), 'series');
+  assert.equal(stem('h100s'), 'h100s');
+});
+
+test('tokenize lowercases, splits on punctuation and stems', () => {
+  assert.deepEqual(tokenize('Self-driving TRUCKS'), ['self', 'driv', 'truck']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('buildQuery drops duplicate and blank keywords and attaches synonyms', () => {
+  const query = buildQuery(['Freight', 'freight', ' ', 'Fleet'], [{ keyword: 'fleet', synonyms: ['fleets', 'fleet ops'] }]);
+  assert.deepEqual(query, [
+    { keyword: 'freight', phrases: [['freight']] },
+    { keyword: 'fleet', phrases: [['fleet'], ['fleet', 'ops']] },
+  ]);
+});
+
+test('scoreRelevance matches multi-word keywords as phrases, including synonyms', () => {
+  const keywords = ['autonomous trucks'];
+  const synonyms = [{ keyword: 'autonomous trucks', synonyms: ['self-driving trucks'] }];
+  const [phrase, synonym, scattered] = scoreRelevance([
+    { name: 'A', description: 'Autonomous trucking for freight' },
+    { name: 'B', description: 'Self-driving trucks on highways' },
+    { name: 'C', description: 'Trucks with autonomous braking' },
+  ], keywords, synonyms);
+  assert.deepEqual(phrase.matched_keywords, ['autonomous trucks']);
+  assert.deepEqual(synonym.matched_keywords, ['autonomous trucks']);
+  assert.equal(scattered.keyword_matches, 0);
+  assert.equal(scattered.relevance_score, 0);
+});
+
+test('scoreRelevance weighs rare keywords above common ones and saturates repeats', () => {
+  const companies = [
+    { name: 'Rare', description: 'freight lidar' },
+    { name: 'Common', description: 'freight routing' },
+    { name: 'Other', description: 'freight brokerage' },
+    { name: 'Another', description: 'freight ports' },
+    { name: 'Once', description: 'lidar ports' },
+    { name: 'Repeats', description: 'lidar lidar lidar' },
+  ];
+  const scores = scoreRelevance(companies, ['freight', 'lidar']);
+  const [rare, common, , , once, repeats] = scores;
+  assert.ok(rare.relevance_score > common.relevance_score);
+  assert.ok(once.relevance_score > common.relevance_score);
+  assert.ok(repeats.relevance_score > once.relevance_score);
+  assert.ok(repeats.relevance_score < 3 * once.relevance_score);
+  assert.deepEqual(scores.map(s => s.keyword_matches), [2, 1, 1, 1, 1, 1]);
+});
+
+test('scoreRelevance reads the website meta description', () => {
+  const [scored] = scoreRelevance([
+    { name: 'Acme', description: '', website_content: { meta_description: 'Fleet telematics' } },
+  ], ['fleet']);
+  assert.deepEqual(scored.matched_keywords, ['fleet']);
+});
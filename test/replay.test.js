@@ -0,0 +1,53 @@
+// Replays a full runResearch() from the cassettes in fixtures/cassettes (fixture discovery,
+// Claude, Brave and website calls) - no API keys and no network
+// A prompt or request change needs new cassettes - see "Tests" in the README
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+let runResearch;
+let recorded;
+const liveFetch = globalThis.fetch;
+
+before(async () => {
+  process.env.RECORD_MODE = 'replay';
+  process.env.DISCOVERY_PROVIDERS = 'fixture';
+  delete process.env.CASSETTE_DIR;
+  delete process.env.DISCOVERY_FIXTURES;
+  // Recency scores (and so the synthesis prompt) depend on today's date - pin it to the recording's
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+  // Replay must never reach the network
+  globalThis.fetch = async (url) => {
+    throw new Error(`Network call during replay: ${url}`);
+  };
+  ({ runResearch } = await import('../lib/research.js'));
+  ({ recorded } = await import('../lib/recorder.js'));
+});
+
+after(() => {
+  globalThis.fetch = liveFetch;
+  mock.timers.reset();
+});
+
+async function collect(thesis) {
+  const events = [];
+  for await (const event of runResearch(thesis)) {
+    events.push(event);
+  }
+  return events;
+}
+
+test('a replayed run is deterministic', async () => {
+  const first = await collect('autonomous trucking');
+  const second = await collect('autonomous trucking');
+
+  assert.equal(first.at(-1).type, 'complete');
+  assert.deepEqual(second, first);
+});
+
+test('replay fails on a request without a cassette instead of calling out', async () => {
+  await assert.rejects(
+    recorded('anthropic', { model: 'none', messages: [] }, () => assert.fail('performed a live call')),
+    /No anthropic cassette for request/,
+  );
+});
@@ -0,0 +1,95 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_WEIGHTS, validateRubric, rubricOf, scoreCompany, rescoreCompany } from '../lib/scoring.js';
+import { stageProfile } from '../lib/stages.js';
+
+// Recency is scored from the founding year against today
+before(() => mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') }));
+after(() => mock.timers.reset());
+
+test('validateRubric fills in default weights and keeps team-defined dimensions', () => {
+  const { rubric, errors } = validateRubric({
+    traction: 2,
+    regulatory_risk: { weight: 1, label: 'Regulatory risk', guide: ' 10 = no regulator in sight ' },
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rubric.weights, { ...DEFAULT_WEIGHTS, traction: 2, regulatory_risk: 1 });
+  assert.deepEqual(rubric.custom, { regulatory_risk: { label: 'Regulatory risk', guide: '10 = no regulator in sight' } });
+  assert.deepEqual(validateRubric(null), { rubric: { weights: DEFAULT_WEIGHTS, custom: {} }, errors: [] });
+});
+
+test('validateRubric rejects an all-zero rubric', () => {
+  const { rubric, errors } = validateRubric({ thesis_relevance: 0, recency: 0, founding_team: 0 });
+  assert.equal(rubric, null);
+  assert.deepEqual(errors, ['rubric needs at least one dimension with a weight above 0']);
+});
+
+test('validateRubric rejects bad weights and malformed team-defined dimensions', () => {
+  assert.deepEqual(validateRubric([1, 2]).errors, ['rubric must be an object of dimension weights']);
+  const { rubric, errors } = validateRubric({
+    recency: 11,
+    traction: '2',
+    'Bad-Key': { weight: 1, guide: 'x' },
+    no_guide: { weight: 1, label: 'No guide' },
+  });
+  assert.equal(rubric, null);
+  assert.deepEqual(errors, [
+    'rubric.recency must be a weight from 0 to 10',
+    'rubric.traction must be a weight from 0 to 10',
+    'rubric.Bad-Key: dimension names must be lowercase snake_case',
+    'rubric.no_guide must be { weight (0-10), label, guide } for a team-defined dimension',
+  ]);
+});
+
+test('scoreCompany prefers real dates and researched founders over the analysis model', () => {
+  const rubric = rubricOf({ rubric: { weights: { traction: 1 } } });
+  const scored = scoreCompany(
+    { founded_year: '2025', founding_team_evidence: { score: 8.4, evidence_sufficient: true, evidence_count: 3 } },
+    { thesis_relevance: 9, recency: 2, founding_team: 3, dimension_scores: { traction: 12 } },
+    { profile: stageProfile('seed'), rubric },
+  );
+  const { dimensions } = scored.score_breakdown;
+  assert.deepEqual(dimensions.recency, { score: 10, source: 'founded_year', weight: 1, weighted: 10 });
+  assert.deepEqual(dimensions.founding_team, { score: 8, source: 'founder_research', weight: 1, weighted: 8 });
+  assert.deepEqual(dimensions.traction, { score: 10, source: 'analysis', weight: 1, weighted: 10 });
+  assert.deepEqual(dimensions.market_size, { score: 5, source: 'default', weight: 0, weighted: 0 });
+  assert.equal(scored.total_score, 9 + 10 + 8 + 10);
+});
+
+test('scoreCompany falls back to the analysis when founder evidence is too thin', () => {
+  const scored = scoreCompany(
+    { founding_team_evidence: { score: 9, evidence_sufficient: false } },
+    { thesis_relevance: 7, recency: 6, founding_team: 4 },
+    { profile: stageProfile('seed'), rubric: rubricOf(null) },
+  );
+  assert.equal(scored.recency, 6);
+  assert.equal(scored.founding_team, 4);
+  assert.equal(scored.score_breakdown.dimensions.founding_team.source, 'analysis');
+  assert.equal(scored.total_score, 17);
+});
+
+test('rescoreCompany reweights a stored breakdown and reports unscored dimensions', () => {
+  const company = {
+    score_breakdown: {
+      dimensions: {
+        thesis_relevance: { score: 8, source: 'analysis', weight: 1, weighted: 8 },
+        recency: { score: 6, source: 'founded_year', weight: 1, weighted: 6 },
+        founding_team: { score: 7, source: 'founder_research', weight: 1, weighted: 7 },
+        traction: { score: 4, source: 'analysis', weight: 0, weighted: 0 },
+      },
+    },
+  };
+  const { rubric } = validateRubric({ thesis_relevance: 2, traction: 1, market_size: 1 });
+  const rescored = rescoreCompany(company, rubric);
+  assert.equal(rescored.total_score, 16 + 6 + 7 + 4);
+  assert.deepEqual(rescored.score_breakdown.dimensions.traction, { score: 4, source: 'analysis', weight: 1, weighted: 4 });
+  assert.deepEqual(rescored.missing, ['market_size']);
+});
+
+test('rescoreCompany handles rows with no stored breakdown', () => {
+  const { rubric } = validateRubric({ recency: 2 });
+  const rescored = rescoreCompany({ thesis_relevance: 8, recency: 6, founding_team: null }, rubric);
+  assert.deepEqual(rescored.score_breakdown.dimensions.founding_team, { score: 5, source: 'stored', weight: 1, weighted: 5 });
+  assert.equal(rescored.total_score, 8 + 12 + 5);
+  assert.deepEqual(rescored.missing, []);
+});
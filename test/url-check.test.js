@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { checkUrl } from '../lib/url-check.js';
+
+const FILLER = 'We build software for freight carriers, brokers and shippers across North America. '.repeat(3);
+
+const page = (title, body) => `<!doctype html><html><head><title>${title}</title></head><body><p>${body}</p></body></html>`;
+
+// Path -> page served by the local site
+const PAGES = {
+  '/haulpilot': page('HaulPilot - Autonomous middle-mile trucking', `Haul Pilot runs driverless trucks. ${FILLER}`),
+  '/parked': page('haulpilot.ai', `This domain has been parked free courtesy of the registrar. ${FILLER}`),
+  '/for-sale': page('haulpilot.ai', `This domain is for sale! Make an offer on this domain today. ${FILLER}`),
+  '/other-company': page('Relay Lane - Remote truck driving', `Relay Lane teleoperates trucks. ${FILLER}`),
+  '/client-rendered': page('Loading', ''),
+};
+
+let server;
+let base;
+
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url === '/no-head' && req.method === 'HEAD') {
+      res.writeHead(405).end();
+      return;
+    }
+    const html = req.url === '/no-head' ? PAGES['/haulpilot'] : PAGES[req.url];
+    if (!html) {
+      res.writeHead(404, { 'Content-Type': 'text/html' }).end(page('Not found', ''));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' }).end(req.method === 'HEAD' ? undefined : html);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('a page that mentions the company is ok, however the name is spaced or suffixed', async () => {
+  const checked = await checkUrl(`${base}/haulpilot`, { name: 'HaulPilot, Inc.' });
+  assert.equal(checked.url_status, 'ok');
+  assert.equal(checked.url_valid, true);
+  assert.equal(checked.http_status, 200);
+  assert.equal(checked.url_final, `${base}/haulpilot`);
+});
+
+test('parked and for-sale pages are invalid', async () => {
+  assert.equal((await checkUrl(`${base}/parked`, { name: 'HaulPilot' })).url_status, 'parked');
+  const forSale = await checkUrl(`${base}/for-sale`, { name: 'HaulPilot' });
+  assert.equal(forSale.url_status, 'for_sale');
+  assert.equal(forSale.url_valid, false);
+});
+
+test('a page that never mentions the company is a name mismatch', async () => {
+  const checked = await checkUrl(`${base}/other-company`, { name: 'HaulPilot' });
+  assert.equal(checked.url_status, 'name_mismatch');
+  assert.match(checked.detail, /doesn't mention HaulPilot \(title: Relay Lane/);
+});
+
+test('a page with too little text to check falls back to the domain', async () => {
+  // 127.0.0.1 doesn't contain the name, so the mention can't be confirmed either way
+  assert.equal((await checkUrl(`${base}/client-rendered`, { name: 'HaulPilot' })).url_status, 'name_mismatch');
+  assert.equal((await checkUrl(`${base}/client-rendered`, { name: '127' })).url_status, 'ok');
+});
+
+test('a server that rejects HEAD is checked with GET', async () => {
+  assert.equal((await checkUrl(`${base}/no-head`, { name: 'HaulPilot' })).url_status, 'ok');
+});
+
+test('errors, unreachable hosts and bad URLs are reported', async () => {
+  const missing = await checkUrl(`${base}/missing`, { name: 'HaulPilot' });
+  assert.equal(missing.url_status, 'http_error');
+  assert.equal(missing.detail, 'HTTP 404');
+
+  const closed = createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+  assert.equal((await checkUrl(`http://127.0.0.1:${port}/`)).url_status, 'unreachable');
+
+  assert.equal((await checkUrl('haul pilot.ai')).url_status, 'invalid_url');
+});